@@ -0,0 +1,83 @@
+// Stand-in for the backend's auth endpoint, served by the Vite dev server so
+// the sign-in flow can be tried without it. Point VITE_AUTH_API_URL at
+// /mock-auth and sign in as demo / demo. Access tokens only last a minute, so
+// renewals happen while testing; restarting the dev server ends every session.
+
+const readJson = (req) =>
+  new Promise((resolve) => {
+    let text = "";
+    req.on("data", (chunk) => (text += chunk));
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(text || "{}"));
+      } catch {
+        resolve({});
+      }
+    });
+  });
+
+const send = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+};
+
+const mockAuth = ({
+  path = "/mock-auth",
+  users = { demo: "demo" },
+  accessTokenTtl = 60, // seconds
+} = {}) => {
+  const refreshTokens = new Map(); // refresh token -> username
+
+  const issueTokens = (username) => {
+    const refreshToken = crypto.randomUUID();
+    refreshTokens.set(refreshToken, username);
+    return {
+      success: true,
+      data: {
+        access_token: crypto.randomUUID(),
+        refresh_token: refreshToken,
+        expires_in: accessTokenTtl,
+        user: { name: username },
+      },
+    };
+  };
+
+  return {
+    name: "mock-auth",
+    apply: "serve",
+    configureServer(server) {
+      server.middlewares.use(path, async (req, res) => {
+        if (req.method !== "POST") {
+          send(res, 405, { success: false, message: "Use POST" });
+          return;
+        }
+        const body = await readJson(req);
+
+        if (req.url === "/login") {
+          if (!body.username || users[body.username] !== body.password) {
+            send(res, 401, { success: false, message: "Invalid credentials" });
+            return;
+          }
+          send(res, 200, issueTokens(body.username));
+        } else if (req.url === "/refresh") {
+          // Refresh tokens are single use
+          const username = refreshTokens.get(body.refresh_token);
+          if (!username) {
+            send(res, 401, { success: false, message: "Invalid token" });
+            return;
+          }
+          refreshTokens.delete(body.refresh_token);
+          send(res, 200, issueTokens(username));
+        } else if (req.url === "/logout") {
+          refreshTokens.delete(body.refresh_token);
+          send(res, 200, { success: true, data: null });
+        } else {
+          send(res, 404, { success: false, message: "Not found" });
+        }
+      });
+    },
+  };
+};
+
+export default mockAuth;
@@ -1,11 +1,44 @@
 import "./App.css";
+import { BrowserRouter, Navigate, Route, Routes } from "react-router-dom";
 import ShiftManagement from "./ShiftManagement";
+import NotificationProvider from "./components/NotificationProvider";
+import I18nProvider from "./components/I18nProvider";
+import ShiftTypesProvider from "./components/ShiftTypesProvider";
+import AuthProvider from "./components/AuthProvider";
+import RequireAuth from "./components/RequireAuth";
+import LoginPage from "./components/LoginPage";
 
+// ShiftManagement stays mounted across the vacancy routes and reads the
+// current one itself: the child routes only name the URLs. Everything but
+// /login needs a session.
 function App() {
   return (
-    <>
-      <ShiftManagement />
-    </>
+    <BrowserRouter>
+      <I18nProvider>
+        <NotificationProvider>
+          <AuthProvider>
+            <Routes>
+              <Route path="/login" element={<LoginPage />} />
+              <Route
+                path="/vacancies"
+                element={
+                  <RequireAuth>
+                    <ShiftTypesProvider>
+                      <ShiftManagement />
+                    </ShiftTypesProvider>
+                  </RequireAuth>
+                }
+              >
+                <Route path="new" element={null} />
+                <Route path=":id" element={null} />
+                <Route path=":id/edit" element={null} />
+              </Route>
+              <Route path="*" element={<Navigate to="/vacancies" replace />} />
+            </Routes>
+          </AuthProvider>
+        </NotificationProvider>
+      </I18nProvider>
+    </BrowserRouter>
   );
 }
 
@@ -1,8 +1,122 @@
-import React, { useState, useEffect, useCallback, useMemo } from "react";
-import { Clock, Edit, X, Plus, Filter, Calendar, Trash2 } from "lucide-react";
-
-// API Configuration
-const API_BASE_URL = "http://127.0.0.1:8000/api/vacancy";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import {
+  Link,
+  useLocation,
+  useMatch,
+  useNavigate,
+  useSearchParams,
+} from "react-router-dom";
+import {
+  X,
+  Plus,
+  Calendar,
+  Trash2,
+  List,
+  CalendarDays,
+  Repeat,
+  Download,
+  Upload,
+  CalendarArrowDown,
+  WifiOff,
+  RefreshCw,
+  AlertTriangle,
+  ChevronLeft,
+  Euro,
+  RotateCcw,
+  BarChart3,
+  BookmarkPlus,
+  Tags,
+  LogOut,
+} from "lucide-react";
+import {
+  vacancyApi,
+  NetworkError,
+  ConflictError,
+  ValidationError,
+  describeApiError,
+  getApiErrorDetails,
+} from "./api/vacancyClient";
+import ShiftCalendar from "./components/ShiftCalendar";
+import RecurringShiftGenerator from "./components/RecurringShiftGenerator";
+import FilterPanel from "./components/FilterPanel";
+import VacancyCard from "./components/VacancyCard";
+import CsvImportDialog from "./components/CsvImportDialog";
+import ConflictMergeDialog from "./components/ConflictMergeDialog";
+import ShiftBulkBar from "./components/ShiftBulkBar";
+import PricingRulesDialog from "./components/PricingRulesDialog";
+import ShiftTypesDialog from "./components/ShiftTypesDialog";
+import AnalyticsDashboard from "./components/AnalyticsDashboard";
+import DuplicateVacancyDialog from "./components/DuplicateVacancyDialog";
+import NewVacancyDialog from "./components/NewVacancyDialog";
+import VacancyBulkBar from "./components/VacancyBulkBar";
+import BulkVacancyDialog from "./components/BulkVacancyDialog";
+import useVacancies from "./hooks/useVacancies";
+import useNotifications from "./hooks/useNotifications";
+import usePricingRules from "./hooks/usePricingRules";
+import useVacancyTemplates from "./hooks/useVacancyTemplates";
+import useI18n from "./hooks/useI18n";
+import useShiftTypes from "./hooks/useShiftTypes";
+import useAuth from "./hooks/useAuth";
+import useOfflineQueue, {
+  applyPendingMutations,
+  createOfflineId,
+} from "./hooks/useOfflineQueue";
+import {
+  initialFormData,
+  vacancyToFormData,
+  withoutShiftIds,
+  buildVacancyPayload,
+  formDataToVacancy,
+  validateVacancyForm,
+  mapServerErrors,
+  getShiftErrors,
+} from "./utils/vacancyForm";
+import { vacanciesToCsv } from "./utils/vacancyCsv";
+import { downloadFile } from "./utils/download";
+import { vacanciesToIcs } from "./utils/ics";
+import { findShiftClashes, findDoubleBookings } from "./utils/conflicts";
+import { applyBulkEdit } from "./utils/bulkEdit";
+import { calculateShiftPrice, applyPricing } from "./utils/pricing";
+import {
+  formDataToTemplate,
+  templateToFormData,
+  shiftFormDates,
+} from "./utils/templates";
+import {
+  DEFAULT_SORT,
+  sortOptions,
+  pastShiftOptions,
+  getApiSort,
+  parseSort,
+  sortVacancies,
+  isPastShift,
+} from "./utils/sorting";
+import {
+  parseFiltersFromSearch,
+  filtersToSearch,
+  vacancyMatchesSearch,
+  swiftMatchesFilters,
+} from "./utils/filters";
+import { timeToMinutes, minutesToTime, getTodayISO } from "./utils/date";
+import {
+  formatDate,
+  formatTime,
+  formatDateTime,
+  formatTimeRange,
+  formatCurrency,
+  getCurrencySymbol,
+} from "./utils/format";
+import {
+  timeOptions,
+  isOvernight,
+  getShiftDurationMinutes,
+  getShiftEndDate,
+  formatDuration,
+  createShiftKey,
+  compareShifts,
+} from "./utils/shifts";
+import { languages } from "./i18n";
+import { getShiftDefaults, getShiftTypeOptions } from "./utils/shiftTypes";
 
 // const debounce = (func, delay) => {
 //   let timeoutId;
@@ -14,183 +128,445 @@ const API_BASE_URL = "http://127.0.0.1:8000/api/vacancy";
 //   };
 // };
 
-const formatDateForAPI = (dateStr) => {
-  if (!dateStr) return "";
-  const [year, month, day] = dateStr.split("-");
-  return `${day}-${month}-${year}`; // e.g., "27-09-2025"
-};
-
-// 2. Helper to format time for API
-const formatTimeForAPI = (timeStr) => timeStr; // Assumes HH:MM format
+// How long a deleted vacancy can be restored before the DELETE is sent
+const UNDO_DELAY_MS = 5000;
 
-// --- Default/Initial States ---
-const initialShiftDetails = {
-  start_time: "09:00",
-  end_time: "17:00",
-  type: "Consultation",
-  price: 70,
-};
+// Shifts double-booking another vacancy (same type, overlapping times) are
+// flagged; with "block" they also can't be saved.
+const OVERLAP_POLICY =
+  import.meta.env.VITE_SHIFT_OVERLAP_POLICY === "block" ? "block" : "warn";
 
-const initialFormData = {
-  title: "",
-  description: "",
-  shifts: [],
-};
-
-// Time options generation
-const timeOptions = [];
-for (let i = 0; i < 24; i++) {
-  for (let j = 0; j < 60; j += 15) {
-    const hour = i.toString().padStart(2, "0");
-    const minute = j.toString().padStart(2, "0");
-    timeOptions.push(`${hour}:${minute}`);
-  }
-}
-
-// Allowed shift types
-const shiftTypes = ["Consultation", "Telephone", "Ambulance", "Emergency"];
+const viewModes = [
+  { value: "list", icon: List },
+  { value: "calendar", icon: CalendarDays },
+  { value: "dashboard", icon: BarChart3 },
+];
 
 // --- Component ---
 const ShiftManagement = () => {
-  // rawVacancies stores the data directly from the API
-  const [rawVacancies, setRawVacancies] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+  const { t, typeLabel, language, setLanguage } = useI18n();
   const [isDrawerOpen, setIsDrawerOpen] = useState(false);
   const [editingVacancy, setEditingVacancy] = useState(null);
-
-  // Filter States:
-  const [minPrice, setMinPrice] = useState(0);
-  const [maxPrice, setMaxPrice] = useState(1000);
-  const [actualMinPrice, setActualMinPrice] = useState(0); // Debounced price for filtering logic
-  const [actualMaxPrice, setActualMaxPrice] = useState(1000); // Debounced price for filtering logic
+  const [viewMode, setViewMode] = useState("list"); // "list" | "calendar" | "dashboard"
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isPricingOpen, setIsPricingOpen] = useState(false);
+  const [isShiftTypesOpen, setIsShiftTypesOpen] = useState(false);
+  // Re-renders when the shift types are (re)loaded
+  useShiftTypes();
+  const [pricingRules, setPricingRules] = usePricingRules();
+  const { templates, saveTemplate, deleteTemplate } = useVacancyTemplates();
+  const [isNewVacancyOpen, setIsNewVacancyOpen] = useState(false);
+  const [duplicateSource, setDuplicateSource] = useState(null); // vacancy
+  const [templateName, setTemplateName] = useState(null); // null = not saving
+  const [selectedVacancyIds, setSelectedVacancyIds] = useState([]);
+  const [bulkOperation, setBulkOperation] = useState(null); // "delete" | "duplicate" | "move"
+
+  // Filter States (initialised from the URL query string):
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [filterInput, setFilterInput] = useState(() =>
+    parseFiltersFromSearch(searchParams)
+  );
+  const [filters, setFilters] = useState(filterInput); // Debounced filters for filtering logic
+  const [sort, setSort] = useState(() => parseSort(searchParams));
+  const [pastShiftMode, setPastShiftMode] = useState("separate");
 
   const [formData, setFormData] = useState(initialFormData);
-  const [dateInput, setDateInput] = useState(
-    new Date().toISOString().split("T")[0]
-  );
+  const [dateInput, setDateInput] = useState(getTodayISO);
   const [validationErrors, setValidationErrors] = useState({});
+  const [isRecurrenceOpen, setIsRecurrenceOpen] = useState(false);
+  const [selectedShiftKeys, setSelectedShiftKeys] = useState([]);
+  const [saveError, setSaveError] = useState(null); // { message, details }
+  // Edit conflict being resolved: { base, latest } (see handleSave)
+  const [conflict, setConflict] = useState(null);
+  // Vacancies deleted but still within the undo window
+  const [hiddenIds, setHiddenIds] = useState([]);
+  const deleteTimersRef = useRef(new Map());
+  // Vacancy of the current route when it isn't among the loaded ones
+  const [fetchedVacancy, setFetchedVacancy] = useState(null);
+  // History entry the drawer was last opened for (see Routing)
+  const [drawerRouteKey, setDrawerRouteKey] = useState(null);
+
+  const { notify, confirm } = useNotifications();
 
   // --- API & Data Handling ---
 
-  const fetchVacancies = useCallback(async () => {
-    setIsLoading(true);
-    // NOTE: We no longer pass minP/maxP here to let the API return ALL data,
-    // and then filter it client-side based on shifts/price range.
-    let apiUrl = API_BASE_URL;
+  // 1. Load vacancies. loadedVacancies holds what the API returned: the whole
+  // dataset by default, or the pages loaded so far in paging mode (where the
+  // filters are also applied server-side). When the backend is unreachable
+  // it is the copy saved for offline use (staleSince is then set).
+  const {
+    vacancies: loadedVacancies,
+    isLoading,
+    isLoadingMore,
+    hasMore,
+    total,
+    error: loadError,
+    staleSince,
+    loadMore,
+    reload,
+    refreshVacancy,
+    removeVacancy,
+  } = useVacancies({ filters, sort: getApiSort(sort) });
+
+  // Changes made while offline are queued and replayed on reconnect; until
+  // then they are shown on top of the loaded vacancies.
+  const {
+    pending: pendingMutations,
+    rejected: rejectedMutations,
+    isOnline,
+    isSyncing,
+    enqueue,
+    replay,
+    retry: retryMutation,
+    discard: discardMutation,
+  } = useOfflineQueue({ onSynced: reload });
+
+  // --- Session ---
+  const { session, user, logout } = useAuth();
+
+  // Signed in again after the session expired: load what failed meanwhile
+  const hadSessionRef = useRef(Boolean(session));
+  useEffect(() => {
+    if (session && !hadSessionRef.current) {
+      reload();
+      replay();
+    }
+    hadSessionRef.current = Boolean(session);
+  }, [session, reload, replay]);
+
+  // Queued changes can't be sent once signed out, so they'd be lost
+  const handleLogout = async () => {
+    if (pendingMutations.length > 0) {
+      const confirmed = await confirm({
+        title: t("auth.logoutConfirm.title"),
+        message: t("auth.logoutConfirm.message", {
+          count: pendingMutations.length,
+        }),
+        confirmLabel: t("auth.logout"),
+        danger: true,
+      });
+      if (!confirmed) return;
+    }
+    await logout();
+  };
 
-    try {
-      const response = await fetch(apiUrl);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      const result = await response.json();
+  const rawVacancies = useMemo(
+    () =>
+      applyPendingMutations(loadedVacancies, pendingMutations).filter(
+        (vacancy) => !hiddenIds.includes(vacancy.id)
+      ),
+    [loadedVacancies, pendingMutations, hiddenIds]
+  );
 
-      if (result.success && Array.isArray(result.data)) {
-        // Store the raw (unfiltered) data
-        setRawVacancies(result.data);
-      } else {
-        console.error(
-          "API success: true, but data array is missing or malformed.",
-          result
-        );
-        setRawVacancies([]);
+  // --- Routing ---
+  // The URL decides what is shown (routes in App.jsx): /vacancies/new and
+  // /vacancies/:id/edit open the drawer, /vacancies/:id shows one vacancy.
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Paths within the app keep the filter and sort query string
+  const toPath = (pathname) => ({ pathname, search: location.search });
+  const isNewRoute = Boolean(useMatch("/vacancies/new"));
+  const editMatch = useMatch("/vacancies/:id/edit");
+  const detailMatch = useMatch("/vacancies/:id");
+  const isDetailRoute = Boolean(detailMatch) && !isNewRoute;
+  const routeId =
+    editMatch?.params.id ?? (isDetailRoute ? detailMatch.params.id : null);
+
+  const routeVacancy =
+    routeId === null
+      ? null
+      : (rawVacancies.find((vacancy) => String(vacancy.id) === routeId) ??
+        (String(fetchedVacancy?.id) === routeId ? fetchedVacancy : null));
+  const isRouteVacancyMissing = routeId !== null && !routeVacancy;
+
+  // A linked vacancy may be on a page that isn't loaded (or filtered out), so
+  // it is fetched on its own
+  useEffect(() => {
+    if (!isRouteVacancyMissing || isLoading) return;
+    let ignore = false;
+    vacancyApi.get(routeId).then(
+      (vacancy) => {
+        if (!ignore) setFetchedVacancy(vacancy);
+      },
+      (error) => {
+        if (ignore) return;
+        console.error("Error loading vacancy:", error);
+        notify({
+          type: "error",
+          message: t("vacancies.loadOneFailed", {
+            id: routeId,
+            error: describeApiError(error),
+          }),
+          details: getApiErrorDetails(error),
+        });
+        navigate("/vacancies", { replace: true });
       }
-    } catch (error) {
-      console.error("Failed to fetch vacancies:", error);
-      setRawVacancies([]);
-      alert(
-        `Failed to connect to API: ${error.message}. Please ensure the backend is running at ${API_BASE_URL}`
-      );
-    } finally {
-      setIsLoading(false);
-    }
-  }, []); // Only fetchVacancies on initial mount and after save/delete
+    );
+    return () => {
+      ignore = true;
+    };
+  }, [isRouteVacancyMissing, isLoading, routeId, notify, navigate, t]);
+
+  useEffect(() => {
+    if (!loadError) return;
+    notify({
+      type: "error",
+      message:
+        loadError instanceof NetworkError
+          ? t("vacancies.connectFailed", { url: vacancyApi.baseUrl })
+          : t("vacancies.loadFailed", { error: describeApiError(loadError) }),
+      details: getApiErrorDetails(loadError),
+      action: { label: t("common.retry"), onClick: reload },
+      duration: 0,
+    });
+  }, [loadError, notify, reload, t]);
 
-  // 1. Initial Load (The price is NOT used to fetch, only to filter later)
+  // Warn before leaving while a delete can still be undone (it isn't sent yet)
   useEffect(() => {
-    fetchVacancies();
-  }, [fetchVacancies]);
+    const handleBeforeUnload = (e) => {
+      if (deleteTimersRef.current.size > 0) e.preventDefault();
+    };
+    window.addEventListener("beforeunload", handleBeforeUnload);
+    return () => window.removeEventListener("beforeunload", handleBeforeUnload);
+  }, []);
 
-  // 2. Price Filter DEBOUNCE EFFECT (Updates actualMinPrice/actualMaxPrice)
+  // Infinite scroll: load the next page when the list end comes into view
+  const loadMoreRef = useRef(null);
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore) return;
+    const observer = new IntersectionObserver((observed) => {
+      if (observed[0].isIntersecting) loadMore();
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadMore, viewMode]);
+
+  // 2. Filter DEBOUNCE EFFECT (Updates the applied filters)
   useEffect(() => {
     const timeoutId = setTimeout(() => {
-      setActualMinPrice(minPrice);
-      setActualMaxPrice(maxPrice);
+      setFilters(filterInput);
     }, 500); // 500ms delay
 
     return () => {
       clearTimeout(timeoutId);
     };
-  }, [minPrice, maxPrice]);
-
-  // 3. Client-Side Filtering (The core change)
-  const filteredVacancies = useMemo(() => {
-    // 1. Start with the raw data
-    let filtered = rawVacancies;
-
-    // 2. Apply the Price Range Filter logic
-    if (actualMinPrice > 0 || actualMaxPrice < 1000) {
-      // Filter the vacancies: MUST have at least one shift (swift)
-      // whose price is within the actualMinPrice and actualMaxPrice range.
-      filtered = filtered.filter((vacancy) => {
-        // Check if swifts array exists and is not empty
-        if (!vacancy.swifts || vacancy.swifts.length === 0) {
-          return false; // Exclude vacancies with no shifts
-        }
-
-        // Check if ANY swift within the vacancy matches the price range
-        const hasMatchingShift = vacancy.swifts.some((swift) => {
-          return swift.price >= actualMinPrice && swift.price <= actualMaxPrice;
-        });
+  }, [filterInput]);
 
-        return hasMatchingShift;
-      });
-    } else {
-      // If no filter is active (min=0, max=1000), still exclude vacancies
-      // that have NO shifts, as per the required logic.
-      filtered = filtered.filter(
-        (vacancy) => vacancy.swifts && vacancy.swifts.length > 0
-      );
-    }
+  // 3. Keep the applied filters and sort in the query string so views can be
+  // shared. Also puts them back after a navigation that left them out. The
+  // history entry is replaced, keeping its identity (see Routing).
+  useEffect(() => {
+    const params = new URLSearchParams(filtersToSearch(filters));
+    if (sort !== DEFAULT_SORT) params.set("sort", sort);
+    if (params.toString() === searchParams.toString()) return;
+    setSearchParams(params, {
+      replace: true,
+      state: {
+        ...location.state,
+        entryKey: location.state?.entryKey ?? location.key,
+      },
+    });
+  }, [filters, sort, searchParams, setSearchParams, location]);
+
+  // 4. Client-Side Filtering
+  const filteredVacancies = useMemo(
+    () =>
+      // A vacancy MUST match the text search and have at least one shift
+      // (swift) matching the shift criteria (type, dates, weekday, price).
+      // Vacancies with no shifts are always excluded.
+      rawVacancies.filter(
+        (vacancy) =>
+          vacancyMatchesSearch(vacancy, filters.search) &&
+          vacancy.swifts &&
+          vacancy.swifts.some((swift) => swiftMatchesFilters(swift, filters))
+      ),
+    [rawVacancies, filters]
+  );
+
+  // 5. Sorting, and dropping vacancies whose shifts are all past when past
+  // shifts are hidden
+  const todayISO = getTodayISO();
+  const displayedVacancies = useMemo(
+    () =>
+      sortVacancies(
+        pastShiftMode === "hide"
+          ? filteredVacancies.filter((vacancy) =>
+              vacancy.swifts.some((swift) => !isPastShift(swift, todayISO))
+            )
+          : filteredVacancies,
+        sort,
+        todayISO
+      ),
+    [filteredVacancies, sort, pastShiftMode, todayISO]
+  );
+
+  // 6. Calendar entries: every swift of the displayed vacancies that itself
+  // matches the shift criteria.
+  const calendarEntries = useMemo(
+    () =>
+      displayedVacancies.flatMap((vacancy) =>
+        vacancy.swifts
+          .filter(
+            (swift) =>
+              swiftMatchesFilters(swift, filters) &&
+              !(pastShiftMode === "hide" && isPastShift(swift, todayISO))
+          )
+          .map((swift) => ({ vacancy, swift }))
+      ),
+    [displayedVacancies, filters, pastShiftMode, todayISO]
+  );
 
-    return filtered;
-  }, [rawVacancies, actualMinPrice, actualMaxPrice]);
+  // 7. Double bookings between the loaded vacancies (highlighted in the list)
+  // and between the drafted shifts and the other vacancies (drawer).
+  const doubleBookings = useMemo(
+    () => findDoubleBookings(rawVacancies),
+    [rawVacancies]
+  );
+  const shiftClashes = useMemo(
+    () =>
+      isDrawerOpen
+        ? findShiftClashes(formData.shifts, rawVacancies, editingVacancy?.id)
+        : {},
+    [isDrawerOpen, formData.shifts, rawVacancies, editingVacancy]
+  );
+
+  // 8. Vacancies selected for bulk actions. Only what matches the current
+  // filter counts; unsynced offline changes can't be selected.
+  const selectableVacancies = useMemo(
+    () => displayedVacancies.filter((vacancy) => !vacancy.pendingSync),
+    [displayedVacancies]
+  );
+  const selectedVacancies = useMemo(
+    () =>
+      selectableVacancies.filter((vacancy) =>
+        selectedVacancyIds.includes(vacancy.id)
+      ),
+    [selectableVacancies, selectedVacancyIds]
+  );
 
   // --- Drawer & Form Logic (Unchanged) ---
-  const openDrawer = (vacancy = null) => {
+  // Prices that differ from the rules were set by hand; keep them
+  const markPriceOverrides = (data) => ({
+    ...data,
+    shifts: data.shifts.map((shift) => ({
+      ...shift,
+      priceOverridden:
+        Number(shift.price) !== calculateShiftPrice(shift, pricingRules).price,
+    })),
+  });
+
+  // Fills the drawer for `vacancy`, or for a new one (empty, or from
+  // `prefill` form data such as a copy or a template)
+  const loadDrawer = (vacancy = null, prefill = null) => {
     setValidationErrors({});
+    setSaveError(null);
+    setIsRecurrenceOpen(false);
+    setSelectedShiftKeys([]);
+    setTemplateName(null);
 
     if (vacancy) {
       setEditingVacancy(vacancy);
 
-      const loadedShifts = vacancy.swifts
-        ? vacancy.swifts.map((swift) => ({
-            date: swift.date,
-            start_time: swift.start_time.substring(0, 5),
-            end_time: swift.end_time.substring(0, 5),
-            type: swift.type,
-            price: swift.price,
-          }))
-        : [];
-
-      setFormData({
-        title: vacancy.title || "",
-        description: vacancy.description || "",
-        shifts: loadedShifts.sort((a, b) => a.date.localeCompare(b.date)),
-      });
+      setFormData(markPriceOverrides(vacancyToFormData(vacancy)));
     } else {
       setEditingVacancy(null);
-      setFormData(initialFormData);
+      setFormData(prefill ? markPriceOverrides(prefill) : initialFormData);
     }
     setIsDrawerOpen(true);
   };
 
-  const closeDrawer = () => {
+  // --- Templates & Duplicates ---
+
+  // ADD VACANCY: straight to an empty drawer unless there are templates
+  const startNewVacancy = () => {
+    if (templates.length > 0) {
+      setIsNewVacancyOpen(true);
+    } else {
+      openDrawer();
+    }
+  };
+
+  const createFromTemplate = (template, startDate) => {
+    setIsNewVacancyOpen(false);
+    openDrawer(null, template && templateToFormData(template, startDate));
+  };
+
+  const removeTemplate = async (template) => {
+    const confirmed = await confirm({
+      title: t("templates.deleteTitle"),
+      message: t("templates.deleteMessage", { name: template.name }),
+      confirmLabel: t("common.delete"),
+      danger: true,
+    });
+    if (confirmed) deleteTemplate(template.id);
+  };
+
+  // A new vacancy with the same details, all dates moved by `days`
+  const duplicateVacancy = (days) => {
+    const copy = shiftFormDates(
+      withoutShiftIds(vacancyToFormData(duplicateSource)),
+      days
+    );
+    setDuplicateSource(null);
+    openDrawer(null, copy);
+  };
+
+  const saveAsTemplate = () => {
+    const name = templateName.trim() || formData.title;
+    saveTemplate(formDataToTemplate(formData, name));
+    setTemplateName(null);
+    notify({ type: "success", message: t("templates.saved", { name }) });
+  };
+
+  const resetDrawer = () => {
     setIsDrawerOpen(false);
     setEditingVacancy(null);
     setValidationErrors({});
+    setSaveError(null);
+  };
+
+  // Opening the drawer adds one history entry (switching vacancies inside it
+  // replaces that entry), so Back closes it and Forward opens it again.
+  const openDrawer = (vacancy = null, prefill = null) => {
+    navigate(
+      toPath(vacancy ? `/vacancies/${vacancy.id}/edit` : "/vacancies/new"),
+      {
+        replace: isDrawerOpen,
+        state: {
+          prefill,
+          fromApp: isDrawerOpen ? Boolean(location.state?.fromApp) : true,
+        },
+      }
+    );
+  };
+
+  // Back to where the drawer was opened from; a drawer opened from a link
+  // falls back to the list
+  const closeDrawer = () => {
+    if (location.state?.fromApp) {
+      navigate(-1);
+    } else {
+      navigate(toPath("/vacancies"), { replace: true });
+    }
   };
 
+  // Follow the route. The drawer is filled once per history entry, so a
+  // reload of the list doesn't reset the form being edited. An entry whose
+  // query string was updated in place keeps its first key as `entryKey`.
+  const entryKey = location.state?.entryKey ?? location.key;
+  if (
+    drawerRouteKey !== entryKey &&
+    (isNewRoute || (editMatch && routeVacancy))
+  ) {
+    setDrawerRouteKey(entryKey);
+    loadDrawer(isNewRoute ? null : routeVacancy, location.state?.prefill);
+  } else if (!isNewRoute && !editMatch && isDrawerOpen) {
+    setDrawerRouteKey(null);
+    resetDrawer();
+  }
+
   const handleInputChange = (e) => {
     const { name, value, type } = e.target;
     setFormData((prev) => ({
@@ -199,305 +575,827 @@ const ShiftManagement = () => {
     }));
   };
 
-  // --- Multi-Shift Handlers (Unchanged) ---
+  // --- Multi-Shift Handlers ---
+  // Shifts are identified by `key`, so a date can hold several shifts.
   const addShift = () => {
-    if (dateInput && !formData.shifts.some((s) => s.date === dateInput)) {
-      const newShift = {
-        date: dateInput, // YYYY-MM-DD format
-        ...initialShiftDetails,
-      };
-
-      setFormData((prev) => ({
-        ...prev,
-        shifts: [...prev.shifts, newShift].sort((a, b) =>
-          a.date.localeCompare(b.date)
+    if (!dateInput) return;
+
+    // A further shift on an already used date starts where the latest one ends
+    const sameDay = formData.shifts.filter((s) => s.date === dateInput);
+    const latestEnd = sameDay.reduce(
+      (latest, s) => (s.end_time > latest ? s.end_time : latest),
+      ""
+    );
+    const defaults = getShiftDefaults();
+    const newShift = {
+      key: createShiftKey(),
+      date: dateInput, // YYYY-MM-DD format
+      ...defaults,
+      priceOverridden: false,
+      ...(latestEnd && {
+        start_time: latestEnd,
+        end_time: minutesToTime(
+          timeToMinutes(latestEnd) +
+            getShiftDurationMinutes(defaults.start_time, defaults.end_time)
         ),
-      }));
+      }),
+    };
 
-      setDateInput("");
-    }
+    setFormData((prev) => ({
+      ...prev,
+      shifts: [...prev.shifts, applyPricing(newShift, pricingRules)].sort(
+        compareShifts
+      ),
+    }));
   };
 
-  const handleShiftChange = (index, name, value) => {
-    setFormData((prev) => {
-      const newShifts = [...prev.shifts];
-      newShifts[index] = {
-        ...newShifts[index],
-        [name]: name === "price" ? parseInt(value, 10) : value,
-      };
-      return { ...prev, shifts: newShifts };
-    });
+  // A price typed by hand overrides the pricing rules; other changes re-price
+  // the shift unless it has been overridden.
+  const handleShiftChange = (key, name, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      shifts: prev.shifts.map((shift) =>
+        shift.key === key
+          ? name === "price"
+            ? { ...shift, price: parseInt(value, 10), priceOverridden: true }
+            : applyPricing({ ...shift, [name]: value }, pricingRules)
+          : shift
+      ),
+    }));
   };
 
-  const removeShift = (dateToRemove) => {
+  // Back to the price the rules give
+  const resetShiftPrice = (key) => {
     setFormData((prev) => ({
       ...prev,
-      shifts: prev.shifts.filter((s) => s.date !== dateToRemove),
+      shifts: prev.shifts.map((shift) =>
+        shift.key === key
+          ? applyPricing({ ...shift, priceOverridden: false }, pricingRules)
+          : shift
+      ),
     }));
   };
 
-  // --- Validation (Unchanged) ---
-  const validateForm = () => {
-    const errors = {};
-    if (!formData.title) errors.title = "Title is required.";
-    if (!formData.description) errors.description = "Description is required.";
-    if (formData.shifts.length === 0)
-      errors.shifts = "At least one date/shift is required.";
-
-    const shiftErrors = {};
-    let hasShiftErrors = false;
-
-    formData.shifts.forEach((shift, index) => {
-      let isError = false;
-
-      if (shift.price <= 0 || isNaN(shift.price)) {
-        shiftErrors[`price-${index}`] = "Price must be > 0.";
-        isError = true;
-      }
+  // Merges shifts produced by the recurring shift generator. Shifts still at
+  // their type's default price are priced by the rules.
+  const addGeneratedShifts = (newShifts) => {
+    const priced = newShifts.map((shift) =>
+      applyPricing(
+        {
+          ...shift,
+          priceOverridden: shift.price !== getShiftDefaults(shift.type).price,
+        },
+        pricingRules
+      )
+    );
+    setFormData((prev) => ({
+      ...prev,
+      shifts: [...prev.shifts, ...priced].sort(compareShifts),
+    }));
+    setIsRecurrenceOpen(false);
+  };
 
-      const startTimeInMinutes =
-        parseInt(shift.start_time.split(":")[0]) * 60 +
-        parseInt(shift.start_time.split(":")[1]);
-      const endTimeInMinutes =
-        parseInt(shift.end_time.split(":")[0]) * 60 +
-        parseInt(shift.end_time.split(":")[1]);
+  const removeShift = (keyToRemove) => {
+    setFormData((prev) => ({
+      ...prev,
+      shifts: prev.shifts.filter((s) => s.key !== keyToRemove),
+    }));
+    setSelectedShiftKeys((prev) => prev.filter((key) => key !== keyToRemove));
+  };
 
-      if (endTimeInMinutes <= startTimeInMinutes) {
-        shiftErrors[`time-${index}`] = "End time must be after start time.";
-        isError = true;
-      }
+  // --- Bulk Edit of Selected Shifts ---
+
+  const toggleShiftSelection = (key) =>
+    setSelectedShiftKeys((prev) =>
+      prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]
+    );
+
+  // Replaces the shifts and re-runs the shift checks across the result
+  // (title/description errors are left as they were).
+  const updateShifts = (shifts) => {
+    const next = { ...formData, shifts };
+    setFormData(next);
+    const { shiftDetails } = validateVacancyForm(next);
+    setValidationErrors((prev) => {
+      const errors = { ...prev };
+      delete errors.shiftDetails;
+      if (shiftDetails) errors.shiftDetails = shiftDetails;
+      return errors;
+    });
+    return shiftDetails ? Object.keys(shiftDetails).length : 0;
+  };
 
-      if (isError) hasShiftErrors = true;
+  const applyBulkAction = (action, value) => {
+    // Bulk prices count as set by hand; time and type changes re-price
+    const isPriceAction = action === "price" || action === "price_percent";
+    const errorCount = updateShifts(
+      applyBulkEdit(formData.shifts, selectedShiftKeys, action, value).map(
+        (shift) =>
+          !selectedShiftKeys.includes(shift.key)
+            ? shift
+            : isPriceAction
+              ? { ...shift, priceOverridden: true }
+              : applyPricing(shift, pricingRules)
+      )
+    );
+    const updated = t("shiftBulk.updated", {
+      action: t(`bulkEdit.actions.${action}`),
+      count: selectedShiftKeys.length,
     });
+    notify({
+      type: errorCount ? "error" : "success",
+      message: errorCount
+        ? `${updated} ${t("shiftBulk.problems", { count: errorCount })}`
+        : updated,
+    });
+  };
 
-    if (hasShiftErrors) errors.shiftDetails = shiftErrors;
+  const removeSelectedShifts = () => {
+    updateShifts(
+      formData.shifts.filter((s) => !selectedShiftKeys.includes(s.key))
+    );
+    setSelectedShiftKeys([]);
+  };
 
+  // --- Validation ---
+  // Shift errors are keyed by `<field>-<shift.key>`.
+  const validateForm = () => {
+    const errors = validateVacancyForm(formData);
     setValidationErrors(errors);
     return Object.keys(errors).length === 0;
   };
 
-  // --- Save/Delete Handlers (fetchVacancies called without price filter) ---
+  // --- Save/Delete Handlers (only the affected vacancy is refreshed) ---
+
+  // Offline, or a vacancy that still has queued changes: queue the change
+  // instead of sending it.
+  const shouldQueue = (vacancy) => !navigator.onLine || vacancy?.pendingSync;
 
   const handleSave = async () => {
+    setSaveError(null);
     if (!validateForm()) {
-      alert("Please fix the validation errors before saving.");
+      setSaveError({
+        message: t("drawer.fixFields"),
+      });
+      return;
+    }
+    if (OVERLAP_POLICY === "block" && Object.keys(shiftClashes).length > 0) {
+      setSaveError({
+        message: t("drawer.doubleBooked"),
+      });
       return;
     }
 
-    const shiftsPayload = formData.shifts.map((shift) => ({
-      date: formatDateForAPI(shift.date),
-      start_time: formatTimeForAPI(shift.start_time),
-      end_time: formatTimeForAPI(shift.end_time),
-      type: shift.type,
-      price: shift.price,
-    }));
+    // Updates carry the version the edit started from, so a concurrent change
+    // is detected instead of silently overwritten
+    const vacancyPayload = buildVacancyPayload(formData, {
+      updatedAt: editingVacancy?.updated_at,
+    });
 
-    const vacancyPayload = {
-      title: formData.title,
-      description: formData.description,
-      shifts: shiftsPayload,
+    // The drawer stays open when the browser can't store the change
+    const queueSave = async () => {
+      const vacancyId = editingVacancy ? editingVacancy.id : createOfflineId();
+      try {
+        await enqueue({
+          action: editingVacancy ? "update" : "create",
+          vacancyId,
+          payload: vacancyPayload,
+          vacancy: {
+            ...editingVacancy,
+            ...formDataToVacancy(formData, vacancyId),
+          },
+        });
+      } catch (error) {
+        console.error("Error queueing vacancy:", error);
+        setSaveError({
+          message: t("drawer.saveFailed", {
+            error: t("offline.storageFailed"),
+          }),
+          details: error.message,
+        });
+        return;
+      }
+      closeDrawer();
+      notify({
+        type: "info",
+        message: t("drawer.queued"),
+      });
+      replay();
     };
 
+    if (shouldQueue(editingVacancy)) {
+      await queueSave();
+      return;
+    }
+
+    let saved;
     try {
-      let response;
-      const url = editingVacancy
-        ? `${API_BASE_URL}/${editingVacancy.id}`
-        : API_BASE_URL;
-      const method = editingVacancy ? "PUT" : "POST";
-
-      response = await fetch(url, {
-        method: method,
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(vacancyPayload),
+      saved = editingVacancy
+        ? await vacancyApi.update(editingVacancy.id, vacancyPayload)
+        : await vacancyApi.create(vacancyPayload);
+    } catch (error) {
+      // Only queue when the write itself didn't get through
+      if (error instanceof NetworkError) {
+        await queueSave();
+        return;
+      }
+      if (error instanceof ConflictError && editingVacancy) {
+        await startConflictMerge();
+        return;
+      }
+      // Server-side rules: show the messages next to the offending fields
+      if (error instanceof ValidationError) {
+        const serverErrors = mapServerErrors(error.fieldErrors, formData);
+        setValidationErrors(serverErrors);
+        setSaveError({
+          message: Object.keys(serverErrors).some((field) => field !== "form")
+            ? t("drawer.serverRejected")
+            : describeApiError(error),
+          details: serverErrors.form || getApiErrorDetails(error),
+        });
+        return;
+      }
+      // Keep the drawer open so the input isn't lost
+      console.error("Error saving vacancy:", error);
+      setSaveError({
+        message: t("drawer.saveFailed", { error: describeApiError(error) }),
+        details: getApiErrorDetails(error),
       });
+      return;
+    }
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(
-          `Failed to save vacancy: ${response.status} - ${errorText}`
-        );
+    // Re-fetch just this vacancy; fall back to a full reload when the API
+    // doesn't tell us the id of a newly created one. The save went through
+    // either way, so a failed refresh only leaves the list behind.
+    const savedId = editingVacancy ? editingVacancy.id : saved?.id;
+    try {
+      if (savedId !== undefined && savedId !== null) {
+        await refreshVacancy(savedId);
+      } else {
+        await reload();
       }
-
-      // Re-fetch ALL vacancies (no price filter here)
-      await fetchVacancies();
-      closeDrawer();
     } catch (error) {
-      console.error("Error saving vacancy:", error);
-      alert(
-        `Error saving vacancy: ${error.message}. Please check the console for the full API response.`
-      );
+      console.warn("Could not refresh the saved vacancy:", error);
     }
+    closeDrawer();
+    notify({
+      type: "success",
+      message: t(editingVacancy ? "drawer.updated" : "drawer.created"),
+    });
   };
 
-  const handleDelete = async () => {
-    if (!editingVacancy) return;
-
-    if (!window.confirm("Are you sure you want to delete this vacancy?")) {
-      return;
-    }
+  // Switches the drawer to a vacancy one of the drafted shifts clashes with
+  const openClashingVacancy = async (vacancy) => {
+    const confirmed = await confirm({
+      title: t("drawer.openOther.title", { title: vacancy.title }),
+      message: t("drawer.openOther.message"),
+      confirmLabel: t("drawer.openOther.confirm"),
+    });
+    if (confirmed) openDrawer(vacancy);
+  };
 
+  // --- Edit Conflicts ---
+  // Loads the vacancy as it is now and opens the merge view for the draft.
+  const startConflictMerge = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/${editingVacancy.id}`, {
-        method: "DELETE",
+      const latest = await refreshVacancy(editingVacancy.id);
+      setConflict({ base: vacancyToFormData(editingVacancy), latest });
+    } catch (error) {
+      console.error("Error loading the current vacancy:", error);
+      setSaveError({
+        message: t("merge.loadFailed", { error: describeApiError(error) }),
+        details: getApiErrorDetails(error),
       });
+    }
+  };
+
+  // The merged form continues from the latest version, so saving it again
+  // only conflicts if the vacancy changed once more.
+  const applyMerge = (merged) => {
+    setFormData((prev) => ({ ...prev, ...merged }));
+    setEditingVacancy(conflict.latest);
+    setValidationErrors({});
+    setSaveError(null);
+    setConflict(null);
+    notify({
+      type: "info",
+      message: t("merge.merged"),
+    });
+  };
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(
-          `Failed to delete vacancy: ${response.status} - ${errorText}`
-        );
+  const deleteVacancy = async (vacancy) => {
+    const queueDelete = async () => {
+      try {
+        await enqueue({ action: "delete", vacancyId: vacancy.id, vacancy });
+      } catch (error) {
+        console.error("Error queueing delete:", error);
+        notify({
+          type: "error",
+          message: t("drawer.deleteFailed", {
+            title: vacancy.title,
+            error: t("offline.storageFailed"),
+          }),
+          details: error.message,
+        });
+        return;
       }
+      replay();
+    };
 
-      // Re-fetch ALL vacancies (no price filter here)
-      await fetchVacancies();
-      closeDrawer();
+    try {
+      if (shouldQueue(vacancy)) {
+        await queueDelete();
+        return;
+      }
+      await vacancyApi.remove(vacancy.id);
+      removeVacancy(vacancy.id);
     } catch (error) {
+      if (error instanceof NetworkError) {
+        await queueDelete();
+        return;
+      }
       console.error("Error deleting vacancy:", error);
-      alert(
-        `Error deleting vacancy: ${error.message}. Check console for details.`
+      notify({
+        type: "error",
+        message: t("drawer.deleteFailed", {
+          title: vacancy.title,
+          error: describeApiError(error),
+        }),
+        details: getApiErrorDetails(error),
+      });
+    } finally {
+      setHiddenIds((prev) => prev.filter((id) => id !== vacancy.id));
+    }
+  };
+
+  // The vacancy disappears right away, but the DELETE is only sent once the
+  // undo window has passed.
+  const handleDelete = async () => {
+    if (!editingVacancy) return;
+    const vacancy = editingVacancy;
+
+    const confirmed = await confirm({
+      title: t("drawer.deleteConfirm.title"),
+      message: t("drawer.deleteConfirm.message", { title: vacancy.title }),
+      confirmLabel: t("common.delete"),
+      danger: true,
+    });
+    if (!confirmed) return;
+
+    // Not closeDrawer(): the drawer may have been opened from the detail page
+    // of the vacancy that is now gone
+    navigate(toPath("/vacancies"), { replace: true });
+    setHiddenIds((prev) => [...prev, vacancy.id]);
+    const timer = setTimeout(() => {
+      deleteTimersRef.current.delete(vacancy.id);
+      deleteVacancy(vacancy);
+    }, UNDO_DELAY_MS);
+    deleteTimersRef.current.set(vacancy.id, timer);
+
+    notify({
+      type: "info",
+      message: t("drawer.deleted", { title: vacancy.title }),
+      action: {
+        label: t("common.undo"),
+        onClick: () => {
+          clearTimeout(timer);
+          deleteTimersRef.current.delete(vacancy.id);
+          setHiddenIds((prev) => prev.filter((id) => id !== vacancy.id));
+        },
+      },
+      duration: UNDO_DELAY_MS,
+    });
+  };
+
+  // --- Bulk Actions on Selected Vacancies ---
+
+  const toggleVacancySelection = (id) =>
+    setSelectedVacancyIds((prev) =>
+      prev.includes(id) ? prev.filter((other) => other !== id) : [...prev, id]
+    );
+
+  // Called by the bulk dialog with the vacancies that went through
+  const finishBulkOperation = (succeeded) => {
+    if (succeeded.length === 0) return;
+    if (bulkOperation === "delete") {
+      const ids = succeeded.map((vacancy) => vacancy.id);
+      ids.forEach(removeVacancy);
+      setSelectedVacancyIds((prev) => prev.filter((id) => !ids.includes(id)));
+    } else {
+      reload();
+    }
+  };
+
+  const exportSelection = (format) => {
+    if (format === "csv") {
+      downloadFile(
+        `vacancies-selected-${todayISO}.csv`,
+        vacanciesToCsv(selectedVacancies),
+        "text/csv;charset=utf-8"
+      );
+    } else {
+      exportIcs(
+        selectedVacancies,
+        `shifts-selected-${todayISO}.ics`,
+        t("vacancies.calendarName")
       );
     }
   };
 
-  // --- Render (Using filteredVacancies) ---
+  // --- CSV Import/Export ---
+
+  // One row per swift of the vacancies currently shown
+  const exportCsv = () => {
+    downloadFile(
+      `vacancies-${todayISO}.csv`,
+      vacanciesToCsv(displayedVacancies),
+      "text/csv;charset=utf-8"
+    );
+  };
+
+  // --- iCalendar Export ---
+
+  // A single vacancy (card or drawer), or every shown vacancy
+  const exportIcs = (vacancies, filename, name) => {
+    downloadFile(
+      filename,
+      vacanciesToIcs(vacancies, { name }),
+      "text/calendar;charset=utf-8"
+    );
+  };
+
+  const exportVacancyIcs = (vacancy) =>
+    exportIcs([vacancy], `vacancy-${vacancy.id}.ics`, vacancy.title);
+
+  // --- Render (Using displayedVacancies) ---
 
   return (
     <div className="flex h-screen bg-gray-100">
       {/* Main Content */}
       <div className="flex-1 p-6">
-        {/* Filter Section */}
-        <div className="bg-white rounded-lg p-6 mb-6 shadow-sm">
-          <div className="flex items-center gap-2 mb-4">
-            <Filter className="w-5 h-5" />
-            <h2 className="text-lg font-semibold text-gray-800">
-              Filter by Price Range
-            </h2>
-          </div>
+        {/* Account */}
+        <div className="flex items-center justify-end gap-3 mb-4 text-sm text-gray-600">
+          {user?.name && (
+            <span>{t("auth.signedInAs", { name: user.name })}</span>
+          )}
+          <button
+            onClick={handleLogout}
+            className="flex items-center gap-1 text-gray-700 hover:text-gray-900"
+          >
+            <LogOut className="w-4 h-4" />
+            {t("auth.logout")}
+          </button>
+        </div>
 
-          <div className="mb-4">
-            <label className="block text-sm font-medium text-gray-600 mb-2">
-              Price Range:{" "}
-              <span className="font-bold text-gray-800">
-                €{minPrice} - €{maxPrice}
+        {/* Filter Section */}
+        <FilterPanel
+          filterInput={filterInput}
+          appliedFilters={filters}
+          onChange={setFilterInput}
+        />
+
+        {/* Offline / stale data indicator */}
+        {(!isOnline || staleSince || pendingMutations.length > 0) && (
+          <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm rounded-lg px-4 py-3 mb-6 flex items-center justify-between gap-4">
+            <p className="flex items-center gap-2">
+              <WifiOff className="w-4 h-4 shrink-0" />
+              <span>
+                {!isOnline
+                  ? t("offline.offline")
+                  : staleSince
+                    ? t("offline.unreachable")
+                    : t("offline.online")}
+                {staleSince &&
+                  ` ${t("offline.stale", { time: formatDateTime(staleSince) })}`}
+                {pendingMutations.length > 0 &&
+                  ` ${t("offline.pending", { count: pendingMutations.length })}`}
               </span>
-            </label>
-            <div className="flex items-center gap-4">
-              <input
-                type="range"
-                min="0"
-                max="1000"
-                value={minPrice}
-                onChange={(e) =>
-                  setMinPrice(Math.min(parseInt(e.target.value), maxPrice))
-                }
-                className="flex-1 accent-gray-700"
-              />
-              <input
-                type="range"
-                min="0"
-                max="1000"
-                value={maxPrice}
-                onChange={(e) =>
-                  setMaxPrice(Math.max(parseInt(e.target.value), minPrice))
-                }
-                className="flex-1 accent-gray-700"
-              />
-            </div>
-            <p className="text-xs text-gray-500 mt-2">
-              Current Filter Applied: Shifts must have a price between €
-              <span className="font-semibold text-gray-700">
-                {actualMinPrice}
-              </span>{" "}
-              and €
-              <span className="font-semibold text-gray-700">
-                {actualMaxPrice}
-              </span>{" "}
-              (updates 500ms after input stops).
             </p>
+            {isOnline && (
+              <button
+                onClick={() => {
+                  replay();
+                  if (staleSince) reload();
+                }}
+                disabled={isSyncing}
+                className="flex items-center gap-1 border border-yellow-400 px-3 py-1 rounded-md hover:bg-yellow-100 disabled:opacity-50"
+              >
+                <RefreshCw className="w-4 h-4" />
+                {isSyncing ? t("offline.syncing") : t("common.retry")}
+              </button>
+            )}
           </div>
-        </div>
-
-        {/* Vacancies Section (Uses filteredVacancies) */}
-        <div className="bg-white rounded-lg p-6 shadow-sm">
-          <div className="flex items-center justify-between mb-6">
-            <h2 className="text-lg font-semibold text-gray-800">Vacancies</h2>
-            <button
-              onClick={() => openDrawer()}
-              className="bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800 flex items-center gap-2"
-            >
-              <Plus className="w-4 h-4" />
-              ADD VACANCY
-            </button>
-          </div>
+        )}
 
-          {/* Vacancy List */}
-          {isLoading ? (
-            <p className="text-gray-500">Loading vacancies...</p>
-          ) : filteredVacancies.length === 0 ? (
-            <p className="text-gray-500">
-              No vacancies found matching the current price filter or with no
-              shifts.
+        {/* Queued changes the server rejected on replay */}
+        {rejectedMutations.length > 0 && (
+          <div className="bg-red-50 border border-red-300 text-red-800 text-sm rounded-lg px-4 py-3 mb-6 space-y-2">
+            <p className="font-semibold">
+              {t("offline.rejected", { count: rejectedMutations.length })}
             </p>
-          ) : (
-            filteredVacancies.map((vacancy) => (
+            {rejectedMutations.map((mutation) => (
               <div
-                key={vacancy.id}
-                className="mb-6 border border-gray-200 rounded-lg p-4"
+                key={mutation.id}
+                className="flex items-center justify-between gap-4"
               >
-                <div className="flex items-center justify-between mb-2">
-                  <h3 className="font-semibold text-gray-800">
-                    {vacancy.title} (ID: {vacancy.id})
-                  </h3>
+                <span>
+                  {t("offline.rejectedChange", {
+                    action: t(`offline.actions.${mutation.action}`),
+                    title: mutation.vacancy?.title ?? mutation.vacancyId,
+                    time: formatDateTime(mutation.queuedAt),
+                    error: mutation.error,
+                  })}
+                </span>
+                <div className="flex gap-2 shrink-0">
                   <button
-                    onClick={() => openDrawer(vacancy)}
-                    className="text-gray-500 hover:text-gray-700"
+                    onClick={() => retryMutation(mutation.id)}
+                    disabled={!isOnline || isSyncing}
+                    className="border border-red-300 px-3 py-1 rounded-md hover:bg-red-100 disabled:opacity-50"
                   >
-                    <Edit className="w-4 h-4" />
+                    {t("common.retry")}
+                  </button>
+                  <button
+                    onClick={() => discardMutation(mutation.id)}
+                    className="border border-red-300 px-3 py-1 rounded-md hover:bg-red-100"
+                  >
+                    {t("offline.discard")}
                   </button>
                 </div>
-                <p className="flex items-center space-x-2 text-sm text-gray-500 mb-2">
-                  {vacancy.description}
-                </p>
-                <div className="flex items-center space-x-2 text-sm">
-                  <h1>
-                    <p className="font-medium text-gray-600">Dates</p>
-                  </h1>
-                </div>
+              </div>
+            ))}
+          </div>
+        )}
 
-                <div className="mb-3">
-                  <div className="space-y-2">
-                    {/* Display the array of shifts (`swifts`) */}
-                    {vacancy.swifts &&
-                      vacancy.swifts.map((swift, index) => (
-                        <div
-                          key={index}
-                          className="bg-gray-700 text-white p-3 rounded-md flex items-center justify-between"
-                        >
-                          <div className="flex items-center gap-4 text-sm">
-                            <span className="min-w-24 font-bold">
-                              {swift.date}
-                            </span>
-                            <span className="flex items-center gap-1">
-                              <Clock className="w-4 h-4" />
-                              {swift.start_time.substring(0, 5)} -{" "}
-                              {swift.end_time.substring(0, 5)}
-                            </span>
-                            <span className="bg-gray-600 px-2 py-1 rounded text-xs">
-                              {swift.type}
-                            </span>
-                          </div>
-                          <span className="font-semibold">€{swift.price}</span>
-                        </div>
-                      ))}
-                  </div>
-                </div>
+        {/* Vacancies Section (Uses displayedVacancies) */}
+        <div className="bg-white rounded-lg p-6 shadow-sm">
+          <div className="flex items-center justify-between mb-6">
+            {isDetailRoute ? (
+              <Link
+                to={toPath("/vacancies")}
+                className="text-lg font-semibold text-gray-800 flex items-center gap-1 hover:text-gray-600"
+              >
+                <ChevronLeft className="w-5 h-5" />
+                {t("vacancies.all")}
+              </Link>
+            ) : (
+              <h2 className="text-lg font-semibold text-gray-800">
+                {t("vacancies.title")}
+              </h2>
+            )}
+            <div className="flex items-center gap-2">
+              <select
+                value={language}
+                onChange={(e) => setLanguage(e.target.value)}
+                className="px-2 py-2 text-sm border border-gray-300 rounded-md"
+                title={t("common.language")}
+              >
+                {languages.map((option) => (
+                  <option key={option.code} value={option.code}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={sort}
+                onChange={(e) => setSort(e.target.value)}
+                className="px-2 py-2 text-sm border border-gray-300 rounded-md"
+                title={t("vacancies.sortHint")}
+              >
+                {sortOptions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {t(`sort.${option.value}`)}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={pastShiftMode}
+                onChange={(e) => setPastShiftMode(e.target.value)}
+                className="px-2 py-2 text-sm border border-gray-300 rounded-md"
+                title={t("vacancies.pastShiftsHint")}
+              >
+                {pastShiftOptions.map((option) => (
+                  <option key={option} value={option}>
+                    {t(`pastShifts.${option}`)}
+                  </option>
+                ))}
+              </select>
+              <div className="flex border border-gray-300 rounded-md overflow-hidden">
+                {viewModes.map((mode) => (
+                  <button
+                    key={mode.value}
+                    onClick={() => {
+                      setViewMode(mode.value);
+                      if (isDetailRoute) navigate(toPath("/vacancies"));
+                    }}
+                    className={`p-2 ${
+                      viewMode === mode.value
+                        ? "bg-gray-700 text-white"
+                        : "text-gray-700 hover:bg-gray-50"
+                    }`}
+                    title={t(`vacancies.views.${mode.value}`)}
+                  >
+                    <mode.icon className="w-4 h-4" />
+                  </button>
+                ))}
               </div>
-            ))
+              <button
+                onClick={exportCsv}
+                disabled={displayedVacancies.length === 0}
+                className="border border-gray-300 text-gray-700 p-2 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                title={t("vacancies.exportCsv")}
+              >
+                <Download className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() =>
+                  exportIcs(
+                    displayedVacancies,
+                    `shifts-${todayISO}.ics`,
+                    t("vacancies.calendarName")
+                  )
+                }
+                disabled={displayedVacancies.length === 0}
+                className="border border-gray-300 text-gray-700 p-2 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                title={t("vacancies.exportIcs")}
+              >
+                <CalendarArrowDown className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setIsPricingOpen(true)}
+                className="border border-gray-300 text-gray-700 p-2 rounded-md hover:bg-gray-50"
+                title={t("pricing.title")}
+              >
+                <Euro className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setIsShiftTypesOpen(true)}
+                className="border border-gray-300 text-gray-700 p-2 rounded-md hover:bg-gray-50"
+                title={t("shiftTypesAdmin.title")}
+              >
+                <Tags className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => setIsImportOpen(true)}
+                className="border border-gray-300 text-gray-700 p-2 rounded-md hover:bg-gray-50"
+                title={t("csvImport.title")}
+              >
+                <Upload className="w-4 h-4" />
+              </button>
+              <button
+                onClick={startNewVacancy}
+                className="bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800 flex items-center gap-2"
+              >
+                <Plus className="w-4 h-4" />
+                {t("vacancies.add")}
+              </button>
+            </div>
+          </div>
+
+          {/* Vacancy List */}
+          {isDetailRoute ? (
+            routeVacancy ? (
+              <VacancyCard
+                vacancy={routeVacancy}
+                pastShiftMode={pastShiftMode}
+                todayISO={todayISO}
+                onEdit={openDrawer}
+                onDuplicate={setDuplicateSource}
+                doubleBookings={doubleBookings}
+                overlapPolicy={OVERLAP_POLICY}
+                onExportIcs={exportVacancyIcs}
+              />
+            ) : (
+              <p className="text-gray-500">{t("vacancies.loadingOne")}</p>
+            )
+          ) : isLoading ? (
+            <p className="text-gray-500">{t("vacancies.loading")}</p>
+          ) : viewMode === "dashboard" ? (
+            <AnalyticsDashboard
+              entries={calendarEntries}
+              vacancies={displayedVacancies}
+              todayISO={todayISO}
+              isPartial={hasMore}
+            />
+          ) : viewMode === "calendar" ? (
+            <ShiftCalendar
+              entries={calendarEntries}
+              onSelectVacancy={openDrawer}
+            />
+          ) : displayedVacancies.length === 0 ? (
+            <p className="text-gray-500">{t("vacancies.empty")}</p>
+          ) : (
+            <>
+              {selectableVacancies.length > 0 && (
+                <VacancyBulkBar
+                  vacancies={selectableVacancies}
+                  selectedIds={selectedVacancies.map((vacancy) => vacancy.id)}
+                  onSelect={setSelectedVacancyIds}
+                  onRun={setBulkOperation}
+                  onExport={exportSelection}
+                />
+              )}
+              {displayedVacancies.map((vacancy) => (
+                <VacancyCard
+                  key={vacancy.id}
+                  vacancy={vacancy}
+                  pastShiftMode={pastShiftMode}
+                  todayISO={todayISO}
+                  isSelected={selectedVacancyIds.includes(vacancy.id)}
+                  onToggleSelect={toggleVacancySelection}
+                  onEdit={openDrawer}
+                  onDuplicate={setDuplicateSource}
+                  doubleBookings={doubleBookings}
+                  overlapPolicy={OVERLAP_POLICY}
+                  onExportIcs={exportVacancyIcs}
+                />
+              ))}
+            </>
+          )}
+
+          {/* Paging: more results are loaded on scroll or on demand */}
+          {!isLoading && !isDetailRoute && hasMore && (
+            <div ref={loadMoreRef} className="text-center mt-4">
+              <button
+                onClick={loadMore}
+                disabled={isLoadingMore}
+                className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 disabled:opacity-50"
+              >
+                {isLoadingMore
+                  ? t("vacancies.loadingMore")
+                  : total !== null
+                    ? t("vacancies.loadMoreOf", {
+                        loaded: rawVacancies.length,
+                        total,
+                      })
+                    : t("vacancies.loadMore")}
+              </button>
+            </div>
           )}
         </div>
       </div>
 
-      {/* --- Drawer (Unchanged) --- */}
+      {conflict && (
+        <ConflictMergeDialog
+          base={conflict.base}
+          mine={formData}
+          theirs={vacancyToFormData(conflict.latest)}
+          onMerge={applyMerge}
+          onCancel={() => {
+            setConflict(null);
+            setSaveError({
+              message: t("merge.notSaved"),
+            });
+          }}
+        />
+      )}
+
+      {isNewVacancyOpen && (
+        <NewVacancyDialog
+          templates={templates}
+          onCreate={createFromTemplate}
+          onDeleteTemplate={removeTemplate}
+          onClose={() => setIsNewVacancyOpen(false)}
+        />
+      )}
+
+      {duplicateSource && (
+        <DuplicateVacancyDialog
+          vacancy={duplicateSource}
+          onDuplicate={duplicateVacancy}
+          onClose={() => setDuplicateSource(null)}
+        />
+      )}
+
+      {bulkOperation && (
+        <BulkVacancyDialog
+          operation={bulkOperation}
+          vacancies={selectedVacancies}
+          onDone={finishBulkOperation}
+          onClose={() => setBulkOperation(null)}
+        />
+      )}
+
+      {isPricingOpen && (
+        <PricingRulesDialog
+          rules={pricingRules}
+          onSave={setPricingRules}
+          onClose={() => setIsPricingOpen(false)}
+        />
+      )}
+
+      {isShiftTypesOpen && (
+        <ShiftTypesDialog onClose={() => setIsShiftTypesOpen(false)} />
+      )}
+
+      {isImportOpen && (
+        <CsvImportDialog
+          vacancies={loadedVacancies}
+          onClose={() => setIsImportOpen(false)}
+          onImported={reload}
+        />
+      )}
+
+      {/* --- Drawer --- */}
       {isDrawerOpen && (
         <>
           <div
@@ -508,21 +1406,68 @@ const ShiftManagement = () => {
             <div className="p-6">
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-lg font-semibold text-gray-800">
-                  {editingVacancy ? "Edit Vacancy" : "Create Vacancy"}
+                  {t(
+                    editingVacancy ? "drawer.editTitle" : "drawer.createTitle"
+                  )}
                 </h2>
-                <button
-                  onClick={closeDrawer}
-                  className="text-gray-500 hover:text-gray-700"
-                >
-                  <X className="w-6 h-6" />
-                </button>
+                <div className="flex items-center gap-2">
+                  {formData.shifts.length > 0 && (
+                    <button
+                      onClick={() =>
+                        setTemplateName(templateName === null ? "" : null)
+                      }
+                      className="text-gray-500 hover:text-gray-700"
+                      title={t("templates.save")}
+                    >
+                      <BookmarkPlus className="w-5 h-5" />
+                    </button>
+                  )}
+                  {editingVacancy && (
+                    <button
+                      onClick={() => exportVacancyIcs(editingVacancy)}
+                      className="text-gray-500 hover:text-gray-700"
+                      title={t("drawer.exportIcs")}
+                    >
+                      <CalendarArrowDown className="w-5 h-5" />
+                    </button>
+                  )}
+                  <button
+                    onClick={closeDrawer}
+                    className="text-gray-500 hover:text-gray-700"
+                  >
+                    <X className="w-6 h-6" />
+                  </button>
+                </div>
               </div>
 
+              {templateName !== null && (
+                <div className="flex gap-2 mb-4">
+                  <input
+                    type="text"
+                    autoFocus
+                    value={templateName}
+                    onChange={(e) => setTemplateName(e.target.value)}
+                    onKeyDown={(e) => e.key === "Enter" && saveAsTemplate()}
+                    placeholder={
+                      formData.title || t("templates.namePlaceholder")
+                    }
+                    className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-gray-700"
+                  />
+                  <button
+                    onClick={saveAsTemplate}
+                    disabled={!templateName.trim() && !formData.title}
+                    className="bg-gray-700 text-white px-3 py-2 text-sm rounded-md hover:bg-gray-800 disabled:opacity-50"
+                  >
+                    {t("templates.saveButton")}
+                  </button>
+                </div>
+              )}
+
               <div className="space-y-4">
                 {/* Title and Description remain the same */}
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Title <span className="text-red-500">*</span>
+                    {t("drawer.title")} <span className="text-red-500">*</span>
                   </label>
                   <input
                     type="text"
@@ -534,7 +1479,7 @@ const ShiftManagement = () => {
                         ? "border-red-500"
                         : "border-gray-300"
                     } rounded-md focus:outline-none focus:ring-2 focus:ring-gray-700`}
-                    placeholder="Shift Title"
+                    placeholder={t("drawer.titlePlaceholder")}
                   />
                   {validationErrors.title && (
                     <p className="text-red-500 text-xs mt-1">
@@ -545,7 +1490,8 @@ const ShiftManagement = () => {
 
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Description <span className="text-red-500">*</span>
+                    {t("drawer.description")}{" "}
+                    <span className="text-red-500">*</span>
                   </label>
                   <textarea
                     name="description"
@@ -557,7 +1503,7 @@ const ShiftManagement = () => {
                         ? "border-red-500"
                         : "border-gray-300"
                     } rounded-md focus:outline-none focus:ring-2 focus:ring-gray-700`}
-                    placeholder="Shift Description"
+                    placeholder={t("drawer.descriptionPlaceholder")}
                   />
                   {validationErrors.description && (
                     <p className="text-red-500 text-xs mt-1">
@@ -568,7 +1514,7 @@ const ShiftManagement = () => {
                 {/* --- Multi-Date Input (Add Shift) --- */}
                 <div className="border p-4 rounded-md border-gray-200">
                   <label className="block text-sm font-medium text-gray-700 mb-1 flex items-center gap-2">
-                    <Calendar className="w-4 h-4" /> Add Date for a New Shift{" "}
+                    <Calendar className="w-4 h-4" /> {t("drawer.addDate")}{" "}
                     <span className="text-red-500">*</span>
                   </label>
                   <div className="flex gap-2 mb-2">
@@ -581,15 +1527,20 @@ const ShiftManagement = () => {
                     <button
                       type="button"
                       onClick={addShift}
-                      disabled={
-                        !dateInput ||
-                        formData.shifts.some((s) => s.date === dateInput)
-                      }
+                      disabled={!dateInput}
                       className="bg-gray-700 text-white p-2 rounded-md hover:bg-gray-800 disabled:opacity-50"
-                      title="Add Date and Default Shift"
+                      title={t("drawer.addShift")}
                     >
                       <Plus className="w-4 h-4" />
                     </button>
+                    <button
+                      type="button"
+                      onClick={() => setIsRecurrenceOpen(!isRecurrenceOpen)}
+                      className="border border-gray-300 text-gray-700 p-2 rounded-md hover:bg-gray-50"
+                      title={t("recurring.open")}
+                    >
+                      <Repeat className="w-4 h-4" />
+                    </button>
                   </div>
                   {validationErrors.shifts && (
                     <p className="text-red-500 text-xs mt-1">
@@ -598,45 +1549,148 @@ const ShiftManagement = () => {
                   )}
                 </div>
 
+                {isRecurrenceOpen && (
+                  <RecurringShiftGenerator
+                    existingShifts={formData.shifts}
+                    onAdd={addGeneratedShifts}
+                    onClose={() => setIsRecurrenceOpen(false)}
+                  />
+                )}
+
+                {formData.shifts.length > 1 && (
+                  <ShiftBulkBar
+                    shifts={formData.shifts}
+                    selectedKeys={selectedShiftKeys}
+                    onSelect={setSelectedShiftKeys}
+                    onApply={applyBulkAction}
+                    onRemove={removeSelectedShifts}
+                  />
+                )}
+
                 {/* --- Individual Shift Details (Scrollable Section) --- */}
                 <div className="space-y-4 max-h-64 overflow-y-auto p-1">
                   <h3 className="font-semibold text-gray-800 mb-2">
-                    Individual Shift Settings
+                    {t("drawer.shiftSettings")}
                   </h3>
                   {formData.shifts.length === 0 ? (
                     <p className="text-gray-400 text-sm">
-                      Use the date picker above to add shifts.
+                      {t("drawer.noShifts")}
                     </p>
                   ) : (
-                    formData.shifts.map((shift, index) => (
+                    formData.shifts.map((shift) => (
                       <div
-                        key={shift.date}
+                        key={shift.key}
                         className={`border ${
-                          validationErrors.shiftDetails &&
-                          (validationErrors.shiftDetails[`time-${index}`] ||
-                            validationErrors.shiftDetails[`price-${index}`])
+                          getShiftErrors(validationErrors, shift.key).length ||
+                          (OVERLAP_POLICY === "block" &&
+                            shiftClashes[shift.key])
                             ? "border-red-500 bg-red-50"
-                            : "border-gray-200"
+                            : shiftClashes[shift.key]
+                              ? "border-yellow-400 bg-yellow-50"
+                              : "border-gray-200"
                         } rounded-md p-4 space-y-3`}
                       >
                         <div className="flex justify-between items-start border-b pb-2 mb-2">
-                          <span className="font-bold text-gray-700">
-                            Shift for: {formatDateForAPI(shift.date)}
-                          </span>
+                          <label className="font-bold text-gray-700 flex items-center gap-2">
+                            {formData.shifts.length > 1 && (
+                              <input
+                                type="checkbox"
+                                checked={selectedShiftKeys.includes(shift.key)}
+                                onChange={() => toggleShiftSelection(shift.key)}
+                              />
+                            )}
+                            {t("drawer.shiftFor", {
+                              date: formatDate(shift.date, { weekday: true }),
+                            })}
+                          </label>
                           <button
                             type="button"
-                            onClick={() => removeShift(shift.date)}
+                            onClick={() => removeShift(shift.key)}
                             className="text-red-500 hover:text-red-700"
                           >
                             <Trash2 className="w-4 h-4" />
                           </button>
                         </div>
 
+                        {/* Double booking with other vacancies */}
+                        {shiftClashes[shift.key] && (
+                          <div
+                            className={`text-xs ${
+                              OVERLAP_POLICY === "block"
+                                ? "text-red-600"
+                                : "text-yellow-800"
+                            }`}
+                          >
+                            <p className="font-semibold flex items-center gap-1">
+                              <AlertTriangle className="w-3 h-3" />{" "}
+                              {t("drawer.doubleBookedWith")}
+                            </p>
+                            <ul className="ml-4 list-disc">
+                              {shiftClashes[shift.key].map(
+                                ({ vacancy, swift }, index) => (
+                                  <li key={index}>
+                                    <button
+                                      type="button"
+                                      onClick={() =>
+                                        openClashingVacancy(vacancy)
+                                      }
+                                      className="underline hover:no-underline"
+                                    >
+                                      {t("drawer.clashingVacancy", {
+                                        title: vacancy.title,
+                                        id: vacancy.id,
+                                      })}
+                                    </button>{" "}
+                                    {formatDate(swift.date)}{" "}
+                                    {formatTimeRange(
+                                      swift.start_time,
+                                      swift.end_time
+                                    )}{" "}
+                                    {typeLabel(swift.type)}
+                                  </li>
+                                )
+                              )}
+                            </ul>
+                          </div>
+                        )}
+
                         {/* Time Validation Error */}
                         {validationErrors.shiftDetails &&
-                          validationErrors.shiftDetails[`time-${index}`] && (
+                          validationErrors.shiftDetails[
+                            `time-${shift.key}`
+                          ] && (
                             <p className="text-red-500 text-xs mb-2">
-                              {validationErrors.shiftDetails[`time-${index}`]}
+                              {
+                                validationErrors.shiftDetails[
+                                  `time-${shift.key}`
+                                ]
+                              }
+                            </p>
+                          )}
+                        {/* Overlap Validation Error */}
+                        {validationErrors.shiftDetails &&
+                          validationErrors.shiftDetails[
+                            `overlap-${shift.key}`
+                          ] && (
+                            <p className="text-red-500 text-xs mb-2">
+                              {
+                                validationErrors.shiftDetails[
+                                  `overlap-${shift.key}`
+                                ]
+                              }
+                            </p>
+                          )}
+                        {/* Other server-side errors (date, type, ...) */}
+                        {validationErrors.shiftDetails &&
+                          validationErrors.shiftDetails[
+                            `server-${shift.key}`
+                          ] && (
+                            <p className="text-red-500 text-xs mb-2">
+                              {
+                                validationErrors.shiftDetails[
+                                  `server-${shift.key}`
+                                ]
+                              }
                             </p>
                           )}
 
@@ -644,14 +1698,14 @@ const ShiftManagement = () => {
                           {/* Start Time */}
                           <div>
                             <label className="block text-xs text-gray-600 mb-1">
-                              Start Time
+                              {t("shift.startTime")}
                             </label>
                             <select
                               name="start_time"
                               value={shift.start_time}
                               onChange={(e) =>
                                 handleShiftChange(
-                                  index,
+                                  shift.key,
                                   e.target.name,
                                   e.target.value
                                 )
@@ -660,7 +1714,7 @@ const ShiftManagement = () => {
                             >
                               {timeOptions.map((time) => (
                                 <option key={time} value={time}>
-                                  {time}
+                                  {formatTime(time)}
                                 </option>
                               ))}
                             </select>
@@ -669,14 +1723,14 @@ const ShiftManagement = () => {
                           {/* End Time */}
                           <div>
                             <label className="block text-xs text-gray-600 mb-1">
-                              End Time
+                              {t("shift.endTime")}
                             </label>
                             <select
                               name="end_time"
                               value={shift.end_time}
                               onChange={(e) =>
                                 handleShiftChange(
-                                  index,
+                                  shift.key,
                                   e.target.name,
                                   e.target.value
                                 )
@@ -685,22 +1739,50 @@ const ShiftManagement = () => {
                             >
                               {timeOptions.map((time) => (
                                 <option key={time} value={time}>
-                                  {time}
+                                  {formatTime(time)}
                                 </option>
                               ))}
                             </select>
                           </div>
                         </div>
 
+                        {/* Duration / next-day end */}
+                        <p className="text-xs text-gray-600">
+                          {t("drawer.duration", {
+                            duration: formatDuration(
+                              getShiftDurationMinutes(
+                                shift.start_time,
+                                shift.end_time
+                              )
+                            ),
+                          })}
+                          {isOvernight(shift.start_time, shift.end_time) && (
+                            <span className="font-semibold text-gray-800">
+                              {" "}
+                              ·{" "}
+                              {t("drawer.endsNextDay", {
+                                date: formatDate(
+                                  getShiftEndDate(
+                                    shift.date,
+                                    shift.start_time,
+                                    shift.end_time
+                                  )
+                                ),
+                              })}
+                            </span>
+                          )}
+                        </p>
+
                         <div className="grid grid-cols-2 gap-3">
                           {/* Price */}
                           <div>
                             <label className="block text-xs text-gray-600 mb-1">
-                              Price <span className="text-red-500">*</span>
+                              {t("shift.priceLabel")}{" "}
+                              <span className="text-red-500">*</span>
                             </label>
                             <div className="flex items-center">
                               <span className="text-sm text-gray-500 mr-1">
-                                €
+                                {getCurrencySymbol()}
                               </span>
                               <input
                                 type="number"
@@ -708,7 +1790,7 @@ const ShiftManagement = () => {
                                 value={shift.price}
                                 onChange={(e) =>
                                   handleShiftChange(
-                                    index,
+                                    shift.key,
                                     e.target.name,
                                     e.target.value
                                   )
@@ -716,21 +1798,31 @@ const ShiftManagement = () => {
                                 className={`w-full px-2 py-1 text-sm border ${
                                   validationErrors.shiftDetails &&
                                   validationErrors.shiftDetails[
-                                    `price-${index}`
+                                    `price-${shift.key}`
                                   ]
                                     ? "border-red-500"
                                     : "border-gray-300"
                                 } rounded focus:outline-none focus:ring-1 focus:ring-gray-700`}
                               />
+                              {shift.priceOverridden && (
+                                <button
+                                  type="button"
+                                  onClick={() => resetShiftPrice(shift.key)}
+                                  className="ml-1 text-gray-500 hover:text-gray-700"
+                                  title={t("drawer.resetPrice")}
+                                >
+                                  <RotateCcw className="w-4 h-4" />
+                                </button>
+                              )}
                             </div>
                             {validationErrors.shiftDetails &&
                               validationErrors.shiftDetails[
-                                `price-${index}`
+                                `price-${shift.key}`
                               ] && (
                                 <p className="text-red-500 text-xs mt-1">
                                   {
                                     validationErrors.shiftDetails[
-                                      `price-${index}`
+                                      `price-${shift.key}`
                                     ]
                                   }
                                 </p>
@@ -740,34 +1832,75 @@ const ShiftManagement = () => {
                           {/* Type */}
                           <div>
                             <label className="block text-xs text-gray-600 mb-1">
-                              Type
+                              {t("shift.type")}
                             </label>
                             <select
                               name="type"
                               value={shift.type}
                               onChange={(e) =>
                                 handleShiftChange(
-                                  index,
+                                  shift.key,
                                   e.target.name,
                                   e.target.value
                                 )
                               }
                               className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-gray-700"
                             >
-                              {shiftTypes.map((type) => (
-                                <option key={type} value={type}>
-                                  {type}
+                              {getShiftTypeOptions(shift.type).map((type) => (
+                                <option key={type.name} value={type.name}>
+                                  {type.archived
+                                    ? t("shiftTypesAdmin.archivedOption", {
+                                        type: typeLabel(type.name),
+                                      })
+                                    : typeLabel(type.name)}
                                 </option>
                               ))}
                             </select>
                           </div>
                         </div>
+
+                        {/* How the rules price this shift */}
+                        <div className="text-xs text-gray-500">
+                          {shift.priceOverridden ? (
+                            <p>
+                              {t("drawer.priceOverridden", {
+                                price: formatCurrency(
+                                  calculateShiftPrice(shift, pricingRules).price
+                                ),
+                              })}
+                            </p>
+                          ) : (
+                            calculateShiftPrice(
+                              shift,
+                              pricingRules
+                            ).breakdown.map((step) => (
+                              <p key={step.label}>
+                                {step.label}: {formatCurrency(step.amount)}
+                              </p>
+                            ))
+                          )}
+                        </div>
                       </div>
                     ))
                   )}
                 </div>
               </div>
 
+              {/* Save error, shown next to the form it belongs to */}
+              {saveError && (
+                <div
+                  role="alert"
+                  className="mt-6 bg-red-50 border border-red-300 text-red-700 text-sm rounded-md p-3"
+                >
+                  <p>{saveError.message}</p>
+                  {saveError.details && (
+                    <p className="mt-1 text-xs text-red-600 whitespace-pre-wrap break-words">
+                      {saveError.details}
+                    </p>
+                  )}
+                </div>
+              )}
+
               {/* Action Buttons */}
               <div className="flex gap-3 mt-6 pt-6 border-t border-gray-200">
                 {editingVacancy && (
@@ -775,14 +1908,14 @@ const ShiftManagement = () => {
                     onClick={handleDelete}
                     className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-300"
                   >
-                    DELETE
+                    {t("common.delete")}
                   </button>
                 )}
                 <button
                   onClick={handleSave}
                   className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800"
                 >
-                  SAVE
+                  {t("common.save")}
                 </button>
               </div>
             </div>
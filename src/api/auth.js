@@ -0,0 +1,168 @@
+// Session handling: signing in and out, and the token API requests carry (see
+// ./http). The session is kept in localStorage so it survives a reload; the
+// access token is renewed with the refresh token shortly before it expires,
+// or when a request comes back 401.
+//
+// Endpoints under AUTH_API_URL, answering with the usual envelope:
+// - POST /login { username, password }
+// - POST /refresh { refresh_token }
+//   both -> { access_token, refresh_token, expires_in (seconds), user }
+// - POST /logout { refresh_token }
+
+import {
+  createRequest,
+  parseEnvelope,
+  setAuthProvider,
+  siblingEndpoint,
+} from "./http";
+import { EnvelopeError, NetworkError } from "./errors";
+import { clearOfflineData } from "./offlineStore";
+import { API_BASE_URL } from "./vacancyClient";
+
+// Defaults to the `auth` endpoint next to the vacancy endpoint
+export const AUTH_API_URL =
+  import.meta.env.VITE_AUTH_API_URL || siblingEndpoint(API_BASE_URL, "auth");
+
+const STORAGE_KEY = "swift-management.session";
+
+// Renew the access token when it expires within this time
+const REFRESH_MARGIN_MS = 30 * 1000;
+
+const request = createRequest({
+  baseUrl: AUTH_API_URL,
+  retries: 0,
+  authenticate: false,
+});
+
+// { accessToken, refreshToken, expiresAt, user } from a login or refresh
+// response. A refresh may leave out what doesn't change.
+const toSession = (data, previous) => {
+  if (!data?.access_token) {
+    throw new EnvelopeError("Expected an `access_token`", data);
+  }
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || previous?.refreshToken || null,
+    expiresAt: data.expires_in
+      ? Date.now() + Number(data.expires_in) * 1000
+      : null,
+    user: data.user || previous?.user || null,
+  };
+};
+
+const loadSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+let session = loadSession();
+const listeners = new Set();
+
+// reason: "login" | "refresh" | "logout" | "expired"
+const setSession = (next, reason) => {
+  session = next;
+  try {
+    if (next) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.warn("Could not store the session:", error);
+  }
+  listeners.forEach((listener) => listener(session, reason));
+};
+
+const expireSession = () => {
+  if (session) setSession(null, "expired");
+};
+
+export const getSession = () => session;
+
+// `listener(session, reason)` on every change; returns the unsubscribe function
+export const subscribeSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Rejects with an UnauthorizedError for a wrong username or password
+export const login = async (username, password) => {
+  const data = parseEnvelope(
+    await request("/login", { method: "POST", body: { username, password } })
+  );
+  setSession(toSession(data), "login");
+  return session;
+};
+
+// Ends the session, also on the server as far as it can be reached, and wipes
+// the vacancies kept in the browser for offline use.
+export const logout = async () => {
+  const refreshToken = session?.refreshToken;
+  setSession(null, "logout");
+  await clearOfflineData().catch((error) =>
+    console.warn("Could not clear the offline data:", error)
+  );
+  if (!refreshToken) return;
+  try {
+    await request("/logout", {
+      method: "POST",
+      body: { refresh_token: refreshToken },
+    });
+  } catch (error) {
+    console.warn("Logout request failed:", error);
+  }
+};
+
+// Resolves with a renewed access token, or null. A refused refresh token ends
+// the session; when the auth endpoint can't be reached it is left as it is.
+// Requests renewing at the same time share one call.
+let refreshing = null;
+
+const refreshSession = () => {
+  refreshing ||= (async () => {
+    const current = session;
+    if (!current?.refreshToken) return null;
+    try {
+      const data = parseEnvelope(
+        await request("/refresh", {
+          method: "POST",
+          body: { refresh_token: current.refreshToken },
+        })
+      );
+      setSession(toSession(data, current), "refresh");
+      return session.accessToken;
+    } catch (error) {
+      console.warn("Could not renew the session:", error);
+      if (!(error instanceof NetworkError)) expireSession();
+      return null;
+    }
+  })().finally(() => {
+    refreshing = null;
+  });
+  return refreshing;
+};
+
+setAuthProvider({
+  getAccessToken: async () => {
+    if (!session) return null;
+    if (
+      session.expiresAt &&
+      session.expiresAt - Date.now() < REFRESH_MARGIN_MS
+    ) {
+      // Unreachable auth endpoint: try with the current token anyway
+      return (await refreshSession()) || session?.accessToken || null;
+    }
+    return session.accessToken;
+  },
+
+  handleUnauthorized: async (token) => {
+    // Renewed (or signed in again) since the request was sent
+    if (session && session.accessToken !== token) return session.accessToken;
+    const renewed = await refreshSession();
+    if (!renewed) expireSession();
+    return renewed;
+  },
+});
@@ -0,0 +1,120 @@
+// Typed errors thrown by the API client so the UI can tell failure modes apart.
+
+import { t } from "../i18n";
+
+// Base class for every error raised by the API layer.
+export class ApiError extends Error {
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = "ApiError";
+  }
+}
+
+// The request never produced a response (offline, DNS, CORS, aborted, timeout).
+export class NetworkError extends ApiError {
+  constructor(message, { cause, timedOut = false } = {}) {
+    super(message, { cause });
+    this.name = "NetworkError";
+    this.timedOut = timedOut;
+  }
+}
+
+// The server answered with a non-2xx status code.
+export class HttpError extends ApiError {
+  constructor(status, body, { cause } = {}) {
+    super(`HTTP ${status}${body ? ` - ${body}` : ""}`, { cause });
+    this.name = "HttpError";
+    this.status = status;
+    this.body = body; // Raw response text, kept for debugging
+  }
+}
+
+// The request wasn't authenticated (401): no session, or it has expired and
+// couldn't be renewed.
+export class UnauthorizedError extends HttpError {
+  constructor(status, body, options) {
+    super(status, body, options);
+    this.name = "UnauthorizedError";
+  }
+}
+
+// The vacancy was changed by someone else since it was loaded (409 / 412): the
+// update carried an outdated version.
+export class ConflictError extends HttpError {
+  constructor(status, body, options) {
+    super(status, body, options);
+    this.name = "ConflictError";
+  }
+}
+
+// The server refused the submitted values (422). `fieldErrors` maps field
+// paths such as "title" or "shifts.2.price" to their messages, as sent in the
+// body's `errors` object (`{ "title": ["..."] }`).
+export class ValidationError extends HttpError {
+  constructor(status, body, options) {
+    super(status, body, options);
+    this.name = "ValidationError";
+    this.fieldErrors = parseFieldErrors(body);
+  }
+}
+
+const parseFieldErrors = (body) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    return {};
+  }
+  const errors = parsed?.errors ?? parsed?.data?.errors;
+  if (!errors || typeof errors !== "object") return {};
+  return Object.fromEntries(
+    Object.entries(errors).map(([field, messages]) => [
+      field,
+      [].concat(messages).join(" "),
+    ])
+  );
+};
+
+// The server answered 2xx but the body is not the expected `{success, data}` envelope.
+export class EnvelopeError extends ApiError {
+  constructor(message, payload) {
+    super(message);
+    this.name = "EnvelopeError";
+    this.payload = payload;
+  }
+}
+
+// Human-readable summary of an API failure, for display in the UI.
+export const describeApiError = (error) => {
+  if (error instanceof NetworkError) {
+    return t(error.timedOut ? "apiErrors.timeout" : "apiErrors.network");
+  }
+  if (error instanceof UnauthorizedError) return t("apiErrors.unauthorized");
+  if (error instanceof ConflictError) return t("apiErrors.conflict");
+  if (error instanceof ValidationError) return t("apiErrors.validation");
+  if (error instanceof HttpError) {
+    return t("apiErrors.http", { status: error.status });
+  }
+  if (error instanceof EnvelopeError) return t("apiErrors.envelope");
+  return error.message;
+};
+
+// What the server said about a failure (its `message` field, or the raw
+// response text), for showing next to the summary. Empty when there's nothing
+// more to say.
+export const getApiErrorDetails = (error) => {
+  if (error instanceof HttpError) {
+    if (!error.body) return "";
+    try {
+      const parsed = JSON.parse(error.body);
+      return parsed.message || parsed.error || error.body;
+    } catch {
+      return error.body;
+    }
+  }
+  if (error instanceof EnvelopeError) {
+    return error.payload?.message || "";
+  }
+  if (error instanceof NetworkError) return error.message;
+  return "";
+};
@@ -0,0 +1,180 @@
+// Transport shared by the API clients: fetch with a timeout and retries,
+// failures mapped to the typed errors of ./errors, the session's bearer token,
+// and the `{success, data}` envelope every endpoint of the backend returns.
+
+import {
+  NetworkError,
+  HttpError,
+  UnauthorizedError,
+  ConflictError,
+  ValidationError,
+  EnvelopeError,
+} from "./errors";
+
+export const DEFAULT_TIMEOUT_MS =
+  Number(import.meta.env.VITE_API_TIMEOUT_MS) || 10000;
+export const DEFAULT_RETRIES = 2;
+const BASE_BACKOFF_MS = 300;
+
+// Only these methods are safe to repeat after a failure.
+const IDEMPOTENT_METHODS = ["GET", "PUT", "DELETE"];
+
+// Statuses worth retrying: timeouts, rate limiting and transient server errors.
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Statuses meaning an update was based on an outdated version.
+const CONFLICT_STATUSES = [409, 412];
+
+// Set by ./auth:
+// - getAccessToken() -> Promise<token | null>, renewed first when about to expire
+// - handleUnauthorized(token) -> Promise<token | null>: after a 401 with
+//   `token`, a renewed token to try once more, or null when the session is over
+let authProvider = null;
+
+export const setAuthProvider = (provider) => {
+  authProvider = provider;
+};
+
+// URL of the endpoint `name` next to `baseUrl` ("…/api/vacancy" ->
+// "…/api/shift-type"). Built as a string, so relative bases stay relative.
+export const siblingEndpoint = (baseUrl, name) => {
+  const path = baseUrl.replace(/(.)\/+$/, "$1");
+  // An origin without a path ("https://host"): the endpoint goes at its root
+  if (/^[a-z][a-z\d+.-]*:\/\/[^/]*$/i.test(path)) return `${path}/${name}`;
+  return `${path.slice(0, path.lastIndexOf("/") + 1)}${name}`;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isRetryable = (error) =>
+  error instanceof NetworkError ||
+  (error instanceof HttpError && RETRYABLE_STATUSES.includes(error.status));
+
+// Performs a single fetch with a timeout, mapping failures to typed errors.
+const fetchOnce = async (url, options, timeoutMs) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    const timedOut = controller.signal.aborted;
+    throw new NetworkError(
+      timedOut
+        ? `Request timed out after ${timeoutMs}ms`
+        : `Could not reach the API at ${url}`,
+      { cause: error, timedOut }
+    );
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  const text = await response.text();
+  if (!response.ok) {
+    if (response.status === 401) {
+      throw new UnauthorizedError(response.status, text);
+    }
+    if (CONFLICT_STATUSES.includes(response.status)) {
+      throw new ConflictError(response.status, text);
+    }
+    if (response.status === 422) {
+      throw new ValidationError(response.status, text);
+    }
+    throw new HttpError(response.status, text);
+  }
+  return text;
+};
+
+// `request(path, { method, body, headers })` against `baseUrl`, resolving to
+// the response text. Idempotent requests are retried with backoff. Unless
+// `authenticate` is false, the session's token goes along as a bearer token;
+// on a 401 the request is sent once more with a renewed one.
+export const createRequest =
+  ({
+    baseUrl,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    retries = DEFAULT_RETRIES,
+    authenticate = true,
+  }) =>
+  async (path, { method = "GET", body, headers = {} } = {}) => {
+    const url = `${baseUrl}${path}`;
+    const options = {
+      method,
+      headers: { Accept: "application/json", ...headers },
+    };
+    if (body !== undefined) {
+      options.headers["Content-Type"] = "application/json";
+      options.body = JSON.stringify(body);
+    }
+
+    const maxAttempts = IDEMPOTENT_METHODS.includes(method) ? retries + 1 : 1;
+
+    const send = async (token) => {
+      const sent = token
+        ? {
+            ...options,
+            headers: { ...options.headers, Authorization: `Bearer ${token}` },
+          }
+        : options;
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await fetchOnce(url, sent, timeoutMs);
+        } catch (error) {
+          if (attempt >= maxAttempts || !isRetryable(error)) throw error;
+          // Exponential backoff with a little jitter: ~300ms, ~600ms, ...
+          const delay = BASE_BACKOFF_MS * 2 ** (attempt - 1);
+          await sleep(delay + Math.random() * delay * 0.2);
+        }
+      }
+    };
+
+    if (!authenticate || !authProvider) return send(null);
+
+    const token = await authProvider.getAccessToken();
+    try {
+      return await send(token);
+    } catch (error) {
+      if (!(error instanceof UnauthorizedError)) throw error;
+      const renewed = await authProvider.handleUnauthorized(token);
+      if (!renewed) throw error;
+      return send(renewed);
+    }
+  };
+
+// Validates the `{success, data}` envelope and gives back the whole envelope
+// (paged lists carry a `meta` next to `data`).
+export const parseResult = (text) => {
+  if (!text) throw new EnvelopeError("Empty response body", text);
+
+  let result;
+  try {
+    result = JSON.parse(text);
+  } catch {
+    throw new EnvelopeError("Response is not valid JSON", text);
+  }
+
+  if (!result || typeof result !== "object" || result.success !== true) {
+    throw new EnvelopeError("Response is missing `success: true`", result);
+  }
+  return result;
+};
+
+// Unwraps the envelope down to its `data`.
+export const parseEnvelope = (text) => parseResult(text).data;
+
+// For creates, updates and deletes a 2xx is enough: the body is only checked
+// (and unwrapped) when it is an envelope. Anything else, such as an empty body
+// or `{"message": "Deleted"}`, resolves to null.
+export const parseMutationResult = (text) => {
+  let result;
+  try {
+    result = text ? JSON.parse(text) : null;
+  } catch {
+    return null;
+  }
+  if (!result || typeof result !== "object" || !("success" in result)) {
+    return null;
+  }
+  return parseEnvelope(text);
+};
@@ -0,0 +1,90 @@
+// IndexedDB persistence for offline mode: the last fetched vacancies and the
+// queue of mutations made while the backend was unreachable.
+
+const DB_NAME = "swift-management";
+const DB_VERSION = 1;
+const CACHE_STORE = "cache"; // key -> value
+const QUEUE_STORE = "queue"; // auto-increment id -> queued mutation
+
+const VACANCIES_KEY = "vacancies";
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CACHE_STORE)) {
+          db.createObjectStore(CACHE_STORE);
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          db.createObjectStore(QUEUE_STORE, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later retry if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `action(store)` in a transaction and resolves with the request result.
+const withStore = async (storeName, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// --- Vacancy cache ---
+
+// Resolves with { vacancies, cachedAt } or null.
+export const getCachedVacancies = () =>
+  withStore(CACHE_STORE, "readonly", (store) => store.get(VACANCIES_KEY)).then(
+    (entry) => entry || null
+  );
+
+export const saveCachedVacancies = (vacancies) =>
+  withStore(CACHE_STORE, "readwrite", (store) =>
+    store.put({ vacancies, cachedAt: new Date().toISOString() }, VACANCIES_KEY)
+  );
+
+// --- Mutation queue ---
+// Entry: { id, action: "create" | "update" | "delete", vacancyId, payload,
+//          vacancy, status: "pending" | "rejected", error, queuedAt }
+
+export const getQueuedMutations = () =>
+  withStore(QUEUE_STORE, "readonly", (store) => store.getAll());
+
+// Resolves with the generated id.
+export const addQueuedMutation = (mutation) =>
+  withStore(QUEUE_STORE, "readwrite", (store) => store.add(mutation));
+
+export const putQueuedMutation = (mutation) =>
+  withStore(QUEUE_STORE, "readwrite", (store) => store.put(mutation));
+
+export const removeQueuedMutation = (id) =>
+  withStore(QUEUE_STORE, "readwrite", (store) => store.delete(id));
+
+// Wipes everything stored for offline use.
+export const clearOfflineData = async () => {
+  await withStore(CACHE_STORE, "readwrite", (store) => store.clear());
+  await withStore(QUEUE_STORE, "readwrite", (store) => store.clear());
+};
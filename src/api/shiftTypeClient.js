@@ -0,0 +1,77 @@
+import { EnvelopeError } from "./errors";
+import {
+  createRequest,
+  parseEnvelope,
+  parseMutationResult,
+  siblingEndpoint,
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_RETRIES,
+} from "./http";
+import { API_BASE_URL } from "./vacancyClient";
+import { parseApiTime } from "../utils/date";
+import { shiftTypeFallback } from "../utils/shiftTypes";
+
+// Defaults to the `shift-type` endpoint next to the vacancy endpoint
+export const SHIFT_TYPES_API_URL =
+  import.meta.env.VITE_SHIFT_TYPES_API_URL ||
+  siblingEndpoint(API_BASE_URL, "shift-type");
+
+// Fills in what a type doesn't set, with times as "HH:MM"
+export const normalizeShiftType = (type) => ({
+  ...shiftTypeFallback,
+  ...type,
+  display_name: type.display_name || type.name,
+  default_start_time: type.default_start_time
+    ? parseApiTime(type.default_start_time)
+    : shiftTypeFallback.default_start_time,
+  default_end_time: type.default_end_time
+    ? parseApiTime(type.default_end_time)
+    : shiftTypeFallback.default_end_time,
+  default_price: Number(type.default_price ?? shiftTypeFallback.default_price),
+  archived: Boolean(type.archived),
+});
+
+// The fields the API stores
+export const buildShiftTypePayload = (type) => ({
+  name: type.name.trim(),
+  display_name: type.display_name.trim() || type.name.trim(),
+  color: type.color,
+  icon: type.icon,
+  default_start_time: type.default_start_time,
+  default_end_time: type.default_end_time,
+  default_price: Number(type.default_price),
+  archived: Boolean(type.archived),
+});
+
+export const createShiftTypeClient = ({
+  baseUrl = SHIFT_TYPES_API_URL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+} = {}) => {
+  const request = createRequest({ baseUrl, timeoutMs, retries });
+
+  return {
+    baseUrl,
+
+    list: async () => {
+      const data = parseEnvelope(await request(""));
+      if (!Array.isArray(data)) {
+        throw new EnvelopeError("Expected `data` to be an array", data);
+      }
+      return data.map(normalizeShiftType);
+    },
+
+    create: async (payload) =>
+      parseMutationResult(await request("", { method: "POST", body: payload })),
+
+    // Also used to archive and restore a type (`archived` in the payload);
+    // types aren't deleted since existing swifts refer to them by name.
+    update: async (id, payload) =>
+      parseMutationResult(
+        await request(`/${id}`, { method: "PUT", body: payload })
+      ),
+  };
+};
+
+// Shared client used by the app.
+export const shiftTypeApi = createShiftTypeClient();
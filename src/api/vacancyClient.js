@@ -0,0 +1,137 @@
+import { EnvelopeError } from "./errors";
+import {
+  createRequest,
+  parseResult,
+  parseEnvelope,
+  parseMutationResult,
+  DEFAULT_TIMEOUT_MS,
+  DEFAULT_RETRIES,
+} from "./http";
+import { parseApiDate, parseApiTime } from "../utils/date";
+
+// Base URL comes from Vite env config (.env, .env.staging, ...), falling back
+// to the local development backend.
+export const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://127.0.0.1:8000/api/vacancy";
+
+// Paging mode: when enabled the list is loaded page by page with server-side
+// filtering and sorting instead of fetching every vacancy at once.
+export const API_PAGINATION = import.meta.env.VITE_API_PAGINATION === "true";
+export const API_PAGE_SIZE = Number(import.meta.env.VITE_API_PAGE_SIZE) || 25;
+
+// Shift dates and times as the app uses them: "YYYY-MM-DD" and "HH:MM" in the
+// organisation zone, whichever format the API sent (see utils/date).
+export const normalizeVacancy = (vacancy) => ({
+  ...vacancy,
+  swifts: (vacancy.swifts || []).map((swift) => ({
+    ...swift,
+    date: parseApiDate(swift.date),
+    start_time: parseApiTime(swift.start_time),
+    end_time: parseApiTime(swift.end_time),
+  })),
+});
+
+export const createVacancyClient = ({
+  baseUrl = API_BASE_URL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+} = {}) => {
+  const request = createRequest({ baseUrl, timeoutMs, retries });
+
+  const expectObject = (data) => {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new EnvelopeError("Expected `data` to be a vacancy object", data);
+    }
+    return data;
+  };
+
+  return {
+    baseUrl,
+
+    list: async () => {
+      const data = parseEnvelope(await request(""));
+      if (!Array.isArray(data)) {
+        throw new EnvelopeError("Expected `data` to be an array", data);
+      }
+      return data.map(normalizeVacancy);
+    },
+
+    // One page of vacancies. `params` are sent as query parameters (page or
+    // cursor, per_page, sort and filters). The envelope's `meta` may carry
+    // `next_cursor` (cursor paging) or `current_page`/`last_page`.
+    listPage: async (params = {}) => {
+      const query = new URLSearchParams();
+      Object.entries(params).forEach(([name, value]) => {
+        if (value !== undefined && value !== null && value !== "") {
+          query.set(name, value);
+        }
+      });
+      const result = parseResult(await request(`?${query}`));
+      if (!Array.isArray(result.data)) {
+        throw new EnvelopeError("Expected `data` to be an array", result.data);
+      }
+
+      const meta = result.meta || {};
+      let nextPage = null;
+      if (meta.next_cursor) {
+        nextPage = { cursor: meta.next_cursor };
+      } else if (meta.current_page && meta.last_page) {
+        if (meta.current_page < meta.last_page) {
+          nextPage = { page: meta.current_page + 1 };
+        }
+      } else if (
+        !result.meta &&
+        result.data.length >= (params.per_page || API_PAGE_SIZE)
+      ) {
+        // No meta at all: assume more results while pages come back full. A
+        // `meta` without a next cursor or page means this was the last one.
+        nextPage = { page: (params.page || 1) + 1 };
+      }
+
+      return {
+        items: result.data.map(normalizeVacancy),
+        total: meta.total ?? null,
+        nextPage,
+      };
+    },
+
+    get: async (id) =>
+      normalizeVacancy(expectObject(parseEnvelope(await request(`/${id}`)))),
+
+    create: async (payload) =>
+      parseMutationResult(await request("", { method: "POST", body: payload })),
+
+    // When the payload carries the `updated_at` the edit started from, it is
+    // also sent as If-Match so the server can refuse (409/412) an update of a
+    // vacancy that changed in the meantime.
+    update: async (id, payload) =>
+      parseMutationResult(
+        await request(`/${id}`, {
+          method: "PUT",
+          body: payload,
+          headers: payload.updated_at
+            ? { "If-Match": `"${payload.updated_at}"` }
+            : {},
+        })
+      ),
+
+    remove: async (id) => {
+      parseMutationResult(await request(`/${id}`, { method: "DELETE" }));
+    },
+  };
+};
+
+// Shared client used by the app.
+export const vacancyApi = createVacancyClient();
+
+export {
+  ApiError,
+  NetworkError,
+  HttpError,
+  UnauthorizedError,
+  ConflictError,
+  ValidationError,
+  EnvelopeError,
+  describeApiError,
+  getApiErrorDetails,
+} from "./errors";
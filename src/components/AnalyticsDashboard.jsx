@@ -0,0 +1,233 @@
+import React, { useMemo, useState } from "react";
+import { Download } from "lucide-react";
+import { getShiftTypeColor } from "../utils/shiftTypes";
+import {
+  analyticsPeriods,
+  computeAnalytics,
+  getPeriodLabel,
+  analyticsToCsv,
+} from "../utils/analytics";
+import { downloadFile } from "../utils/download";
+import { formatCurrency } from "../utils/format";
+import useI18n from "../hooks/useI18n";
+
+const metrics = ["hours", "spend"];
+
+const Tile = ({ label, value, hint }) => (
+  <div className="border border-gray-200 rounded-lg p-4">
+    <p className="text-xs text-gray-500">{label}</p>
+    <p className="text-2xl font-semibold text-gray-800">{value}</p>
+    {hint && <p className="text-xs text-gray-500 mt-1">{hint}</p>}
+  </div>
+);
+
+// Legend for the per-type colours
+const TypeLegend = ({ types, typeLabel }) => (
+  <div className="flex flex-wrap gap-3 text-xs text-gray-600 mb-2">
+    {types.map((type) => (
+      <span key={type} className="flex items-center gap-1">
+        <span
+          className="w-3 h-3 rounded-sm"
+          style={{ backgroundColor: getShiftTypeColor(type) }}
+        />
+        {typeLabel(type)}
+      </span>
+    ))}
+  </div>
+);
+
+// Summary tiles and charts for the shifts currently shown (same filters as
+// the list and calendar).
+// entries: [{ vacancy, swift }]; vacancies: the displayed vacancies;
+// isPartial: more pages exist that aren't loaded (paging mode)
+const AnalyticsDashboard = ({ entries, vacancies, todayISO, isPartial }) => {
+  const { t, typeLabel } = useI18n();
+  const [period, setPeriod] = useState("week");
+  const [metric, setMetric] = useState("hours");
+
+  const analytics = useMemo(
+    () => computeAnalytics(entries, vacancies, { period, todayISO }),
+    [entries, vacancies, period, todayISO]
+  );
+  const { totals, byType, series } = analytics;
+  const formatHours = (hours) => t("common.duration", { hours });
+  const format = metric === "hours" ? formatHours : formatCurrency;
+  const types = byType.map((row) => row.type);
+
+  const maxPeriodValue = Math.max(0, ...series.map((bucket) => bucket[metric]));
+  const maxTypeValue = Math.max(0, ...byType.map((row) => row[metric]));
+
+  const exportCsv = () =>
+    downloadFile(
+      `shift-analytics-${period}-${todayISO}.csv`,
+      analyticsToCsv(analytics),
+      "text/csv;charset=utf-8"
+    );
+
+  if (entries.length === 0) {
+    return <p className="text-gray-500">{t("analytics.empty")}</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {isPartial && (
+        <p className="text-xs text-gray-500">{t("analytics.partial")}</p>
+      )}
+      <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+        <Tile label={t("analytics.shifts")} value={totals.shifts} />
+        <Tile
+          label={t("analytics.totalHours")}
+          value={formatHours(totals.hours)}
+        />
+        <Tile
+          label={t("analytics.totalSpend")}
+          value={formatCurrency(totals.spend)}
+        />
+        <Tile
+          label={t("analytics.averagePrice")}
+          value={formatCurrency(totals.averagePrice)}
+        />
+        <Tile
+          label={t("analytics.vacancies")}
+          value={totals.vacancies}
+          hint={t("analytics.vacanciesHint", {
+            upcoming: totals.upcomingVacancies,
+            past: totals.pastVacancies,
+          })}
+        />
+      </div>
+
+      <div className="flex items-center gap-2">
+        <select
+          value={period}
+          onChange={(e) => setPeriod(e.target.value)}
+          className="px-2 py-2 text-sm border border-gray-300 rounded-md"
+        >
+          {analyticsPeriods.map((option) => (
+            <option key={option} value={option}>
+              {t(`analytics.periods.${option}`)}
+            </option>
+          ))}
+        </select>
+        <select
+          value={metric}
+          onChange={(e) => setMetric(e.target.value)}
+          className="px-2 py-2 text-sm border border-gray-300 rounded-md"
+        >
+          {metrics.map((value) => (
+            <option key={value} value={value}>
+              {t(`analytics.metrics.${value}`)}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={exportCsv}
+          className="ml-auto border border-gray-300 text-gray-700 px-3 py-2 rounded-md hover:bg-gray-50 flex items-center gap-2 text-sm"
+          title={t("analytics.exportHint")}
+        >
+          <Download className="w-4 h-4" />
+          {t("analytics.export")}
+        </button>
+      </div>
+
+      {/* Time series: one stacked bar per period */}
+      <div>
+        <h3 className="font-semibold text-gray-800 mb-2">
+          {t(`analytics.chartTitle.${metric}`, {
+            period: t(`analytics.periods.${period}`),
+          })}
+        </h3>
+        <TypeLegend types={types} typeLabel={typeLabel} />
+        <div className="flex items-end gap-1 h-48 border-b border-gray-200 overflow-x-auto">
+          {series.map((bucket) => (
+            <div
+              key={bucket.key}
+              className="flex-1 min-w-6 h-full flex flex-col justify-end"
+              title={`${getPeriodLabel(bucket.key, period)}: ${format(bucket[metric])} (${t(
+                "common.shiftCount",
+                { count: bucket.shifts }
+              )})`}
+            >
+              {types.map((type) =>
+                bucket.byType[type] ? (
+                  <div
+                    key={type}
+                    style={{
+                      height: `${
+                        maxPeriodValue
+                          ? (bucket.byType[type][metric] / maxPeriodValue) * 100
+                          : 0
+                      }%`,
+                      backgroundColor: getShiftTypeColor(type),
+                    }}
+                  />
+                ) : null
+              )}
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-between text-xs text-gray-500 mt-1">
+          <span>{getPeriodLabel(series[0].key, period)}</span>
+          {series.length > 1 && (
+            <span>{getPeriodLabel(series[series.length - 1].key, period)}</span>
+          )}
+        </div>
+      </div>
+
+      {/* Breakdown by type */}
+      <div>
+        <h3 className="font-semibold text-gray-800 mb-2">
+          {t("analytics.byType")}
+        </h3>
+        <table className="w-full text-sm">
+          <thead className="text-xs text-gray-500">
+            <tr>
+              <th className="text-left font-medium py-1">
+                {t("analytics.columns.type")}
+              </th>
+              <th className="text-left font-medium py-1 w-1/2" />
+              <th className="text-right font-medium py-1">
+                {t("analytics.columns.shifts")}
+              </th>
+              <th className="text-right font-medium py-1">
+                {t("analytics.columns.hours")}
+              </th>
+              <th className="text-right font-medium py-1">
+                {t("analytics.columns.spend")}
+              </th>
+              <th className="text-right font-medium py-1">
+                {t("analytics.columns.averagePrice")}
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {byType.map((row) => (
+              <tr key={row.type} className="border-t border-gray-100">
+                <td className="py-2 text-gray-700">{typeLabel(row.type)}</td>
+                <td className="py-2 pr-4">
+                  <div
+                    className="h-3 rounded-sm"
+                    style={{
+                      width: `${
+                        maxTypeValue ? (row[metric] / maxTypeValue) * 100 : 0
+                      }%`,
+                      backgroundColor: getShiftTypeColor(row.type),
+                    }}
+                  />
+                </td>
+                <td className="py-2 text-right">{row.shifts}</td>
+                <td className="py-2 text-right">{formatHours(row.hours)}</td>
+                <td className="py-2 text-right">{formatCurrency(row.spend)}</td>
+                <td className="py-2 text-right">
+                  {formatCurrency(row.averagePrice)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsDashboard;
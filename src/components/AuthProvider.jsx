@@ -0,0 +1,27 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { AuthContext } from "../hooks/useAuth";
+import { getSession, subscribeSession, login, logout } from "../api/auth";
+
+// Follows the session kept by api/auth, which the API requests renew or end.
+const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(getSession);
+  const [isExpired, setIsExpired] = useState(false);
+
+  useEffect(
+    () =>
+      subscribeSession((next, reason) => {
+        setSession(next);
+        if (reason !== "refresh") setIsExpired(reason === "expired");
+      }),
+    []
+  );
+
+  const value = useMemo(
+    () => ({ session, user: session?.user ?? null, isExpired, login, logout }),
+    [session, isExpired]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+import { X } from "lucide-react";
+import { vacancyApi, describeApiError } from "../api/vacancyClient";
+import {
+  vacancyToFormData,
+  withoutShiftIds,
+  buildVacancyPayload,
+} from "../utils/vacancyForm";
+import { shiftFormDates } from "../utils/templates";
+import useI18n from "../hooks/useI18n";
+
+const inputClass =
+  "px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-gray-700";
+
+// Texts are the "bulkVacancies.<operation>" messages
+const needsOffset = (operation) => operation !== "delete";
+
+// One API call per vacancy
+const runOperation = (operation, vacancy, days) => {
+  if (operation === "delete") return vacancyApi.remove(vacancy.id);
+  const formData = shiftFormDates(vacancyToFormData(vacancy), days);
+  return operation === "duplicate"
+    ? vacancyApi.create(buildVacancyPayload(withoutShiftIds(formData)))
+    : vacancyApi.update(
+        vacancy.id,
+        buildVacancyPayload(formData, { updatedAt: vacancy.updated_at })
+      );
+};
+
+// Runs a bulk operation on the selected vacancies, one request at a time, with
+// progress and a per-vacancy result. Failures don't stop the batch.
+// `onDone(succeededVacancies)` is called once the batch has finished.
+const BulkVacancyDialog = ({ operation, vacancies, onDone, onClose }) => {
+  const { t } = useI18n();
+  const [amount, setAmount] = useState(1);
+  const [unit, setUnit] = useState("weeks"); // "days" | "weeks"
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState(null); // [{ vacancy, error }]
+
+  const days = (Number(amount) || 0) * (unit === "weeks" ? 7 : 1);
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setProgress(0);
+    const outcome = [];
+    for (const vacancy of vacancies) {
+      try {
+        await runOperation(operation, vacancy, days);
+        outcome.push({ vacancy, error: null });
+      } catch (error) {
+        console.error(`Error in bulk ${operation}:`, error);
+        outcome.push({ vacancy, error: describeApiError(error) });
+      }
+      setProgress(outcome.length);
+    }
+    setResults(outcome);
+    setIsRunning(false);
+    onDone(outcome.filter((r) => !r.error).map((r) => r.vacancy));
+  };
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 z-40"
+        onClick={isRunning ? undefined : onClose}
+      />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-6 pointer-events-none">
+        <div className="bg-white rounded-lg shadow-lg w-full max-w-md max-h-full overflow-y-auto p-6 pointer-events-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-800">
+              {t(`bulkVacancies.${operation}.title`)}
+            </h2>
+            <button
+              onClick={onClose}
+              disabled={isRunning}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+
+          {!results && (
+            <>
+              <p className="text-sm text-gray-600 mb-2">
+                {t("bulkVacancies.selected", { count: vacancies.length })}
+              </p>
+              <ul className="text-sm text-gray-700 mb-4 max-h-32 overflow-y-auto list-disc ml-5">
+                {vacancies.map((vacancy) => (
+                  <li key={vacancy.id}>
+                    {vacancy.title} (ID: {vacancy.id})
+                  </li>
+                ))}
+              </ul>
+              {needsOffset(operation) && (
+                <>
+                  <label className="block text-sm text-gray-700 mb-1">
+                    {t("offset.label")}
+                  </label>
+                  <div className="flex gap-2 mb-4">
+                    <input
+                      type="number"
+                      value={amount}
+                      onChange={(e) => setAmount(e.target.value)}
+                      disabled={isRunning}
+                      className={`${inputClass} w-24`}
+                    />
+                    <select
+                      value={unit}
+                      onChange={(e) => setUnit(e.target.value)}
+                      disabled={isRunning}
+                      className={inputClass}
+                    >
+                      <option value="days">
+                        {t("offset.days", { count: Number(amount) })}
+                      </option>
+                      <option value="weeks">
+                        {t("offset.weeks", { count: Number(amount) })}
+                      </option>
+                    </select>
+                  </div>
+                </>
+              )}
+              {operation === "delete" && (
+                <p className="text-sm text-red-600 mb-4">
+                  {t("bulkVacancies.cannotUndo")}
+                </p>
+              )}
+            </>
+          )}
+
+          {isRunning && (
+            <p className="text-sm text-gray-700 mb-4">
+              {t("bulkVacancies.progress", {
+                done: progress,
+                total: vacancies.length,
+              })}
+            </p>
+          )}
+
+          {results && (
+            <div className="text-sm mb-4 space-y-1">
+              <p className="text-gray-700">
+                {t(`bulkVacancies.${operation}.done`, {
+                  done: results.filter((r) => !r.error).length,
+                  count: results.length,
+                })}
+              </p>
+              {results
+                .filter((r) => r.error)
+                .map(({ vacancy, error }) => (
+                  <p key={vacancy.id} className="text-red-500">
+                    {vacancy.title} (ID: {vacancy.id}): {error}
+                  </p>
+                ))}
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              disabled={isRunning}
+              className="flex-1 border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              {results ? t("common.close") : t("common.cancel")}
+            </button>
+            {!results && (
+              <button
+                onClick={handleRun}
+                disabled={isRunning || (operation === "move" && days === 0)}
+                className={`flex-1 text-white px-4 py-2 rounded-md disabled:opacity-50 ${
+                  operation === "delete"
+                    ? "bg-red-600 hover:bg-red-700"
+                    : "bg-gray-700 hover:bg-gray-800"
+                }`}
+              >
+                {t(`bulkVacancies.${operation}.confirm`, {
+                  count: vacancies.length,
+                })}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default BulkVacancyDialog;
@@ -0,0 +1,214 @@
+import React, { useState } from "react";
+import { X, GitMerge } from "lucide-react";
+import { formatDate, formatTimeRange, formatCurrency } from "../utils/format";
+import { buildMergeRows, applyMergeChoices } from "../utils/vacancyMerge";
+import useI18n from "../hooks/useI18n";
+
+const describeShift = (shift, typeLabel) =>
+  shift
+    ? `${formatTimeRange(shift.start_time, shift.end_time)} ${typeLabel(shift.type)} ${formatCurrency(shift.price)}`
+    : "—";
+
+// One selectable side of a row
+const Choice = ({ name, value, checked, onChange, disabled, children }) => (
+  <label
+    className={`flex-1 flex items-start gap-2 p-2 rounded-md border text-sm ${
+      checked ? "border-gray-700 bg-gray-50" : "border-gray-200"
+    } ${disabled ? "opacity-50" : "cursor-pointer"}`}
+  >
+    <input
+      type="radio"
+      name={name}
+      value={value}
+      checked={checked}
+      disabled={disabled}
+      onChange={() => onChange(value)}
+      className="mt-1"
+    />
+    <span className="break-words min-w-0">{children}</span>
+  </label>
+);
+
+// Shown when saving hit an edit conflict: compares the drafted form (`mine`)
+// with the vacancy as it is now on the server (`theirs`) and lets the user
+// pick, per field and per shift, what to keep. `base` is the form data the
+// draft started from.
+const ConflictMergeDialog = ({ base, mine, theirs, onMerge, onCancel }) => {
+  const { t, typeLabel } = useI18n();
+  const [rows, setRows] = useState(() => buildMergeRows(base, mine, theirs));
+
+  const setFieldChoice = (field, choice) =>
+    setRows((prev) => ({
+      ...prev,
+      fields: prev.fields.map((row) =>
+        row.field === field ? { ...row, choice } : row
+      ),
+    }));
+
+  const setShiftChoice = (id, choice) =>
+    setRows((prev) => ({
+      ...prev,
+      shifts: prev.shifts.map((row) =>
+        row.id === id ? { ...row, choice } : row
+      ),
+    }));
+
+  // Take one side everywhere
+  const chooseAll = (side) =>
+    setRows((prev) => ({
+      fields: prev.fields.map((row) => ({ ...row, choice: side })),
+      shifts: prev.shifts.map((row) => ({
+        ...row,
+        choice: row[side] ? side : "none",
+      })),
+    }));
+
+  const changedShifts = rows.shifts.filter((row) => row.status !== "same");
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 z-[60]"
+        onClick={onCancel}
+      />
+      <div className="fixed inset-0 z-[70] flex items-center justify-center p-6 pointer-events-none">
+        <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl max-h-full overflow-y-auto p-6 pointer-events-auto">
+          <div className="flex items-center justify-between mb-2">
+            <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+              <GitMerge className="w-5 h-5" /> {t("merge.title")}
+            </h2>
+            <button
+              onClick={onCancel}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">{t("merge.intro")}</p>
+
+          <div className="flex gap-2 mb-4 text-sm">
+            <button
+              onClick={() => chooseAll("mine")}
+              className="border border-gray-300 text-gray-700 px-3 py-1 rounded-md hover:bg-gray-50"
+            >
+              {t("merge.keepMine")}
+            </button>
+            <button
+              onClick={() => chooseAll("theirs")}
+              className="border border-gray-300 text-gray-700 px-3 py-1 rounded-md hover:bg-gray-50"
+            >
+              {t("merge.takeCurrent")}
+            </button>
+          </div>
+
+          <div className="flex gap-2 text-xs font-medium text-gray-500 mb-1 pl-28">
+            <span className="flex-1">{t("merge.mine")}</span>
+            <span className="flex-1">{t("merge.theirs")}</span>
+          </div>
+
+          <div className="space-y-2 mb-4">
+            {rows.fields
+              .filter((row) => row.differs)
+              .map((row) => (
+                <div key={row.field} className="flex items-start gap-2">
+                  <span className="w-26 shrink-0 text-sm font-medium text-gray-700 pt-2">
+                    {t(`merge.fields.${row.field}`)}
+                  </span>
+                  <Choice
+                    name={`field-${row.field}`}
+                    value="mine"
+                    checked={row.choice === "mine"}
+                    onChange={(choice) => setFieldChoice(row.field, choice)}
+                  >
+                    {row.mine}
+                  </Choice>
+                  <Choice
+                    name={`field-${row.field}`}
+                    value="theirs"
+                    checked={row.choice === "theirs"}
+                    onChange={(choice) => setFieldChoice(row.field, choice)}
+                  >
+                    {row.theirs}
+                  </Choice>
+                </div>
+              ))}
+          </div>
+
+          <h3 className="font-semibold text-gray-800 mb-2">
+            {t("merge.shifts")}{" "}
+            <span className="text-xs font-normal text-gray-500">
+              {t("merge.shiftCounts", {
+                changed: changedShifts.length,
+                same: rows.shifts.length - changedShifts.length,
+              })}
+            </span>
+          </h3>
+          <div className="space-y-2 mb-6">
+            {changedShifts.length === 0 && (
+              <p className="text-sm text-gray-400">{t("merge.sameShifts")}</p>
+            )}
+            {changedShifts.map((row) => {
+              const shift = row.mine || row.theirs;
+              return (
+                <div key={row.id} className="flex items-start gap-2">
+                  <span className="w-26 shrink-0 text-sm text-gray-700 pt-2">
+                    <span className="font-medium">
+                      {formatDate(shift.date, { weekday: true })}
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      {t(`merge.status.${row.status}`)}
+                    </span>
+                  </span>
+                  <Choice
+                    name={`shift-${row.id}`}
+                    value="mine"
+                    checked={row.choice === "mine"}
+                    disabled={!row.mine}
+                    onChange={(choice) => setShiftChoice(row.id, choice)}
+                  >
+                    {describeShift(row.mine, typeLabel)}
+                  </Choice>
+                  <Choice
+                    name={`shift-${row.id}`}
+                    value="theirs"
+                    checked={row.choice === "theirs"}
+                    disabled={!row.theirs}
+                    onChange={(choice) => setShiftChoice(row.id, choice)}
+                  >
+                    {describeShift(row.theirs, typeLabel)}
+                  </Choice>
+                  <label className="flex items-center gap-1 text-xs text-gray-600 pt-2 shrink-0">
+                    <input
+                      type="radio"
+                      name={`shift-${row.id}`}
+                      checked={row.choice === "none"}
+                      onChange={() => setShiftChoice(row.id, "none")}
+                    />
+                    {t("merge.drop")}
+                  </label>
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              onClick={onCancel}
+              className="flex-1 border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50"
+            >
+              {t("common.cancel")}
+            </button>
+            <button
+              onClick={() => onMerge(applyMergeChoices(rows))}
+              className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800"
+            >
+              {t("merge.confirm")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ConflictMergeDialog;
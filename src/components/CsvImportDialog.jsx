@@ -0,0 +1,275 @@
+import React, { useState } from "react";
+import { Upload, X } from "lucide-react";
+import { vacancyApi, describeApiError } from "../api/vacancyClient";
+import { parseVacancyCsv, CSV_COLUMNS } from "../utils/vacancyCsv";
+import { buildVacancyPayload } from "../utils/vacancyForm";
+import useI18n from "../hooks/useI18n";
+
+// A CSV row describes a loaded swift when date, start time and type match
+const isSameShift = (shift, swift) =>
+  shift.date === swift.date &&
+  shift.start_time === swift.start_time &&
+  shift.type === swift.type;
+
+// The loaded swifts of `current` no row of the imported vacancy matches: the
+// update removes them.
+const getRemovedSwifts = (current, formData) =>
+  (current.swifts || []).filter(
+    (swift) => !formData.shifts.some((shift) => isSameShift(shift, swift))
+  );
+
+// Rows matching a loaded swift keep its server id (see vacancyToFormData)
+const withLoadedShiftIds = (current, formData) => ({
+  ...formData,
+  shifts: formData.shifts.map((shift) => {
+    const swift = (current.swifts || []).find((other) =>
+      isSameShift(shift, other)
+    );
+    return swift?.id !== undefined && swift?.id !== null
+      ? { ...shift, id: swift.id }
+      : shift;
+  }),
+});
+
+// Imports vacancies from a CSV file: parse + validate, preview with row-level
+// errors, then create/update every valid vacancy through the API. Updates
+// carry the `updated_at` of the vacancy as loaded (`vacancies`), so one that
+// changed in the meantime is reported instead of overwritten.
+const CsvImportDialog = ({ vacancies, onClose, onImported }) => {
+  const { t, typeLabel } = useI18n();
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null);
+  const [isImporting, setIsImporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [results, setResults] = useState(null); // [{ vacancy, error }]
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setFileName(file.name);
+    setResults(null);
+    setParsed(parseVacancyCsv(await file.text()));
+  };
+
+  const validVacancies = parsed
+    ? parsed.vacancies.filter((vacancy) => vacancy.valid)
+    : [];
+  const invalidCount = parsed
+    ? parsed.vacancies.length - validVacancies.length
+    : 0;
+
+  const findLoaded = (id) =>
+    vacancies.find((vacancy) => String(vacancy.id) === String(id));
+
+  // Updates of loaded vacancies that drop shifts not listed in the file
+  const removals = validVacancies
+    .filter((vacancy) => vacancy.id && findLoaded(vacancy.id))
+    .map((vacancy) => ({
+      vacancy,
+      count: getRemovedSwifts(findLoaded(vacancy.id), vacancy.formData).length,
+    }))
+    .filter(({ count }) => count > 0);
+
+  // Each vacancy is a separate API call; failures don't stop the batch.
+  const handleImport = async () => {
+    setIsImporting(true);
+    setProgress(0);
+    const outcome = [];
+    for (const vacancy of validVacancies) {
+      try {
+        if (vacancy.id) {
+          // Not loaded (paging mode): the version as it is now
+          const current =
+            findLoaded(vacancy.id) ?? (await vacancyApi.get(vacancy.id));
+          await vacancyApi.update(
+            vacancy.id,
+            buildVacancyPayload(withLoadedShiftIds(current, vacancy.formData), {
+              updatedAt: current.updated_at,
+            })
+          );
+        } else {
+          await vacancyApi.create(buildVacancyPayload(vacancy.formData));
+        }
+        outcome.push({ vacancy, error: null });
+      } catch (error) {
+        console.error("Error importing vacancy:", error);
+        outcome.push({ vacancy, error: describeApiError(error) });
+      }
+      setProgress(outcome.length);
+    }
+    setResults(outcome);
+    setIsImporting(false);
+    if (outcome.some((r) => !r.error)) onImported();
+  };
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 z-40"
+        onClick={isImporting ? undefined : onClose}
+      />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-6 pointer-events-none">
+        <div className="bg-white rounded-lg shadow-lg w-full max-w-3xl max-h-full overflow-y-auto p-6 pointer-events-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-800">
+              {t("csvImport.title")}
+            </h2>
+            <button
+              onClick={onClose}
+              disabled={isImporting}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+
+          <p className="text-xs text-gray-500 mb-2">
+            {t("csvImport.intro", { columns: CSV_COLUMNS.join(", ") })}
+          </p>
+
+          <label className="flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-md cursor-pointer mb-4 text-sm text-gray-700">
+            <Upload className="w-4 h-4" />
+            {fileName || t("csvImport.chooseFile")}
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              onChange={handleFile}
+              className="hidden"
+            />
+          </label>
+
+          {parsed?.error && (
+            <p className="text-red-500 text-sm mb-4">{parsed.error}</p>
+          )}
+
+          {parsed && !parsed.error && (
+            <>
+              <p className="text-sm text-gray-700 mb-2">
+                {t("csvImport.summary.rows", { count: parsed.rows.length })},{" "}
+                {t("csvImport.summary.valid", { count: validVacancies.length })}
+                {invalidCount > 0 && (
+                  <span className="text-red-500">
+                    , {t("csvImport.summary.invalid", { count: invalidCount })}
+                  </span>
+                )}
+              </p>
+              {removals.length > 0 && (
+                <div className="text-sm text-yellow-800 mb-2">
+                  {removals.map(({ vacancy, count }) => (
+                    <p key={vacancy.id}>
+                      {t("csvImport.removesShifts", {
+                        title: vacancy.formData.title,
+                        id: vacancy.id,
+                        count,
+                      })}
+                    </p>
+                  ))}
+                </div>
+              )}
+              <div className="max-h-64 overflow-y-auto border border-gray-200 rounded-md mb-4">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50 text-gray-600">
+                    <tr>
+                      {[
+                        "line",
+                        "vacancy",
+                        "date",
+                        "time",
+                        "type",
+                        "price",
+                        "errors",
+                      ].map((column) => (
+                        <th key={column} className="p-2 text-left">
+                          {t(`csvImport.columns.${column}`)}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {parsed.rows.map((row) => (
+                      <tr
+                        key={row.line}
+                        className={`border-t border-gray-200 ${
+                          row.errors.length ? "bg-red-50" : ""
+                        }`}
+                      >
+                        <td className="p-2">{row.line}</td>
+                        <td className="p-2">
+                          {row.values.vacancy_id
+                            ? `#${row.values.vacancy_id} `
+                            : ""}
+                          {row.values.title}
+                        </td>
+                        <td className="p-2">{row.values.date}</td>
+                        <td className="p-2">
+                          {row.values.start_time}-{row.values.end_time}
+                        </td>
+                        <td className="p-2">{typeLabel(row.values.type)}</td>
+                        <td className="p-2">{row.values.price}</td>
+                        <td className="p-2 text-red-700">
+                          {row.errors.join(" ")}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {isImporting && (
+            <p className="text-sm text-gray-700 mb-4">
+              {t("csvImport.progress", {
+                done: progress,
+                total: validVacancies.length,
+              })}
+            </p>
+          )}
+
+          {results && (
+            <div className="text-sm mb-4 space-y-1">
+              <p className="text-gray-700">
+                {t("csvImport.done", {
+                  done: results.filter((r) => !r.error).length,
+                  count: results.length,
+                })}
+              </p>
+              {results
+                .filter((r) => r.error)
+                .map(({ vacancy, error }) => (
+                  <p key={vacancy.lines[0]} className="text-red-500">
+                    {t("csvImport.failed", {
+                      title: vacancy.formData.title,
+                      lines: vacancy.lines.join(", "),
+                      error,
+                    })}
+                  </p>
+                ))}
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              disabled={isImporting}
+              className="flex-1 border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 disabled:opacity-50"
+            >
+              {results ? t("common.close") : t("common.cancel")}
+            </button>
+            {!results && (
+              <button
+                onClick={handleImport}
+                disabled={isImporting || validVacancies.length === 0}
+                className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800 disabled:opacity-50"
+              >
+                {t("csvImport.confirm", { count: validVacancies.length })}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default CsvImportDialog;
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import { Copy, X } from "lucide-react";
+import useI18n from "../hooks/useI18n";
+
+const inputClass =
+  "px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-gray-700";
+
+// Asks how far to move the shifts of a copied vacancy, then hands the number
+// of days to `onDuplicate`.
+const DuplicateVacancyDialog = ({ vacancy, onDuplicate, onClose }) => {
+  const { t } = useI18n();
+  const [amount, setAmount] = useState(1);
+  const [unit, setUnit] = useState("weeks"); // "days" | "weeks"
+
+  const days = (Number(amount) || 0) * (unit === "weeks" ? 7 : 1);
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 z-40"
+        onClick={onClose}
+      />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-6 pointer-events-none">
+        <div className="bg-white rounded-lg shadow-lg w-full max-w-sm p-6 pointer-events-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+              <Copy className="w-5 h-5" /> {t("duplicate.title")}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 mb-4">
+            {t("duplicate.intro", {
+              title: vacancy.title,
+              count: (vacancy.swifts || []).length,
+            })}
+          </p>
+          <label className="block text-sm text-gray-700 mb-1">
+            {t("offset.label")}
+          </label>
+          <div className="flex gap-2 mb-6">
+            <input
+              type="number"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              className={`${inputClass} w-24`}
+            />
+            <select
+              value={unit}
+              onChange={(e) => setUnit(e.target.value)}
+              className={inputClass}
+            >
+              <option value="days">
+                {t("offset.days", { count: Number(amount) })}
+              </option>
+              <option value="weeks">
+                {t("offset.weeks", { count: Number(amount) })}
+              </option>
+            </select>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              className="flex-1 border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50"
+            >
+              {t("common.cancel")}
+            </button>
+            <button
+              onClick={() => onDuplicate(days)}
+              className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800"
+            >
+              {t("duplicate.confirm")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default DuplicateVacancyDialog;
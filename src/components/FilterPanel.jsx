@@ -0,0 +1,184 @@
+import React from "react";
+import { Filter, Search } from "lucide-react";
+import { formatCurrency, getWeekdayLabels } from "../utils/format";
+import {
+  PRICE_MIN,
+  PRICE_MAX,
+  defaultFilters,
+  hasActiveFilters,
+} from "../utils/filters";
+import useI18n from "../hooks/useI18n";
+import useShiftTypes from "../hooks/useShiftTypes";
+import ShiftTypeIcon from "./ShiftTypeIcon";
+
+const toggle = (list, value) =>
+  list.includes(value) ? list.filter((v) => v !== value) : [...list, value];
+
+// filterInput is what the user is editing; appliedFilters is the debounced
+// copy that actually drives the list.
+const FilterPanel = ({ filterInput, appliedFilters, onChange }) => {
+  const { t, typeLabel } = useI18n();
+  // Archived types too, so existing shifts can still be found by type
+  const { shiftTypes } = useShiftTypes();
+  const update = (patch) => onChange({ ...filterInput, ...patch });
+
+  return (
+    <div className="bg-white rounded-lg p-6 mb-6 shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Filter className="w-5 h-5" />
+          <h2 className="text-lg font-semibold text-gray-800">
+            {t("filters.title")}
+          </h2>
+        </div>
+        {hasActiveFilters(filterInput) && (
+          <button
+            type="button"
+            onClick={() => onChange(defaultFilters)}
+            className="text-sm text-gray-500 hover:text-gray-700"
+          >
+            {t("filters.clearAll")}
+          </button>
+        )}
+      </div>
+
+      {/* Text search */}
+      <div className="mb-4 flex items-center gap-2 px-3 py-2 border border-gray-300 rounded-md">
+        <Search className="w-4 h-4 text-gray-500" />
+        <input
+          type="text"
+          value={filterInput.search}
+          onChange={(e) => update({ search: e.target.value })}
+          placeholder={t("filters.searchPlaceholder")}
+          className="flex-1 text-sm focus:outline-none"
+        />
+      </div>
+
+      <div className="grid grid-cols-3 gap-4 mb-4">
+        {/* Shift types */}
+        <div>
+          <p className="block text-sm font-medium text-gray-600 mb-2">
+            {t("filters.shiftType")}
+          </p>
+          {shiftTypes.map(({ name }) => (
+            <label
+              key={name}
+              className="flex items-center gap-2 text-sm text-gray-700"
+            >
+              <input
+                type="checkbox"
+                checked={filterInput.types.includes(name)}
+                onChange={() =>
+                  update({ types: toggle(filterInput.types, name) })
+                }
+              />
+              <ShiftTypeIcon type={name} colored />
+              {typeLabel(name)}
+            </label>
+          ))}
+        </div>
+
+        {/* Date range */}
+        <div>
+          <p className="block text-sm font-medium text-gray-600 mb-2">
+            {t("filters.dateRange")}
+          </p>
+          <input
+            type="date"
+            value={filterInput.dateFrom}
+            max={filterInput.dateTo || undefined}
+            onChange={(e) => update({ dateFrom: e.target.value })}
+            aria-label={t("filters.dateFrom")}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded mb-2"
+          />
+          <input
+            type="date"
+            value={filterInput.dateTo}
+            min={filterInput.dateFrom || undefined}
+            onChange={(e) => update({ dateTo: e.target.value })}
+            aria-label={t("filters.dateTo")}
+            className="w-full px-2 py-1 text-sm border border-gray-300 rounded"
+          />
+        </div>
+
+        {/* Weekdays */}
+        <div>
+          <p className="block text-sm font-medium text-gray-600 mb-2">
+            {t("filters.weekdays")}
+          </p>
+          <div className="flex flex-wrap gap-1">
+            {getWeekdayLabels().map((label, weekday) => (
+              <button
+                key={label}
+                type="button"
+                onClick={() =>
+                  update({
+                    weekdays: toggle(filterInput.weekdays, weekday).sort(),
+                  })
+                }
+                className={`text-xs px-2 py-1 rounded ${
+                  filterInput.weekdays.includes(weekday)
+                    ? "bg-gray-700 text-white"
+                    : "border border-gray-300 text-gray-700"
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Price range */}
+      <div className="mb-4">
+        <label className="block text-sm font-medium text-gray-600 mb-2">
+          {t("filters.priceRange")}{" "}
+          <span className="font-bold text-gray-800">
+            {formatCurrency(filterInput.minPrice)} -{" "}
+            {formatCurrency(filterInput.maxPrice)}
+          </span>
+        </label>
+        <div className="flex items-center gap-4">
+          <input
+            type="range"
+            min={PRICE_MIN}
+            max={PRICE_MAX}
+            value={filterInput.minPrice}
+            onChange={(e) =>
+              update({
+                minPrice: Math.min(
+                  parseInt(e.target.value),
+                  filterInput.maxPrice
+                ),
+              })
+            }
+            className="flex-1 accent-gray-700"
+          />
+          <input
+            type="range"
+            min={PRICE_MIN}
+            max={PRICE_MAX}
+            value={filterInput.maxPrice}
+            onChange={(e) =>
+              update({
+                maxPrice: Math.max(
+                  parseInt(e.target.value),
+                  filterInput.minPrice
+                ),
+              })
+            }
+            className="flex-1 accent-gray-700"
+          />
+        </div>
+        <p className="text-xs text-gray-500 mt-2">
+          {t("filters.appliedPrice", {
+            min: formatCurrency(appliedFilters.minPrice),
+            max: formatCurrency(appliedFilters.maxPrice),
+          })}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default FilterPanel;
@@ -0,0 +1,29 @@
+import React, { useState, useCallback, useMemo, useEffect } from "react";
+import { I18nContext } from "../hooks/useI18n";
+import { getLanguage, setLanguage, t, typeLabel } from "../i18n";
+
+// Holds the UI language. Changing it updates the shared i18n state and
+// re-renders every component that uses useI18n.
+const I18nProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(getLanguage);
+
+  const changeLanguage = useCallback((code) => {
+    setLanguage(code);
+    setLanguageState(getLanguage());
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // `language` is part of the value so consumers re-render on a change, even
+  // though `t` itself stays the same function
+  const value = useMemo(
+    () => ({ language, setLanguage: changeLanguage, t, typeLabel }),
+    [language, changeLanguage]
+  );
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
@@ -0,0 +1,23 @@
+import React from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
+import LoginScreen from "./LoginScreen";
+
+// The /login route: once signed in, back to where RequireAuth came from.
+const LoginPage = () => {
+  const { session } = useAuth();
+  const location = useLocation();
+
+  if (session) {
+    const from = location.state?.from;
+    return (
+      <Navigate
+        to={from ? `${from.pathname}${from.search}${from.hash}` : "/vacancies"}
+        replace
+      />
+    );
+  }
+  return <LoginScreen />;
+};
+
+export default LoginPage;
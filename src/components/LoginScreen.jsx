@@ -0,0 +1,99 @@
+import React, { useState } from "react";
+import { LogIn } from "lucide-react";
+import { UnauthorizedError, describeApiError } from "../api/errors";
+import useAuth from "../hooks/useAuth";
+import useI18n from "../hooks/useI18n";
+
+const inputClass =
+  "w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-gray-700";
+
+// Sign-in form covering the whole window. `notice` explains why it is shown.
+const LoginScreen = ({ notice }) => {
+  const { t } = useI18n();
+  const { login } = useAuth();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await login(username.trim(), password);
+    } catch (loginError) {
+      console.error("Error signing in:", loginError);
+      setError(
+        loginError instanceof UnauthorizedError
+          ? t("auth.failed")
+          : describeApiError(loginError)
+      );
+      setPassword("");
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-100 flex items-center justify-center p-6">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-lg w-full max-w-sm p-6 space-y-4"
+      >
+        <h1 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <LogIn className="w-5 h-5" /> {t("auth.title")}
+        </h1>
+        {notice && (
+          <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-300 rounded-md px-3 py-2">
+            {notice}
+          </p>
+        )}
+        <div>
+          <label
+            htmlFor="login-username"
+            className="block text-sm font-medium text-gray-600 mb-1"
+          >
+            {t("auth.username")}
+          </label>
+          <input
+            id="login-username"
+            type="text"
+            autoComplete="username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+            autoFocus
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="login-password"
+            className="block text-sm font-medium text-gray-600 mb-1"
+          >
+            {t("auth.password")}
+          </label>
+          <input
+            id="login-password"
+            type="password"
+            autoComplete="current-password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            className={inputClass}
+          />
+        </div>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          className="w-full bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800 disabled:opacity-50"
+        >
+          {isSubmitting ? t("auth.signingIn") : t("auth.submit")}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginScreen;
@@ -0,0 +1,93 @@
+import React, { useState } from "react";
+import { Plus, X, Trash2, FileText } from "lucide-react";
+import { getTodayISO } from "../utils/date";
+import useI18n from "../hooks/useI18n";
+
+// Start a vacancy from scratch or from a saved template laid out from a start
+// date. `onCreate(template | null, startDate)`.
+const NewVacancyDialog = ({
+  templates,
+  onCreate,
+  onDeleteTemplate,
+  onClose,
+}) => {
+  const { t } = useI18n();
+  const [startDate, setStartDate] = useState(getTodayISO);
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 z-40"
+        onClick={onClose}
+      />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-6 pointer-events-none">
+        <div className="bg-white rounded-lg shadow-lg w-full max-w-md max-h-full overflow-y-auto p-6 pointer-events-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-800">
+              {t("newVacancy.title")}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+
+          <button
+            onClick={() => onCreate(null)}
+            className="w-full flex items-center gap-2 border border-gray-300 text-gray-700 px-4 py-3 rounded-md hover:bg-gray-50 mb-4"
+          >
+            <Plus className="w-4 h-4" /> {t("newVacancy.blank")}
+          </button>
+
+          <h3 className="font-semibold text-gray-800 mb-2">
+            {t("newVacancy.fromTemplate")}
+          </h3>
+          <label className="block text-xs text-gray-600 mb-1">
+            {t("newVacancy.firstShiftOn")}
+          </label>
+          <input
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md mb-3 focus:outline-none focus:ring-2 focus:ring-gray-700"
+          />
+          <div className="space-y-2">
+            {templates.map((template) => (
+              <div key={template.id} className="flex items-center gap-2">
+                <button
+                  onClick={() => onCreate(template, startDate)}
+                  disabled={!startDate}
+                  className="flex-1 flex items-start gap-2 text-left border border-gray-200 px-3 py-2 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <FileText className="w-4 h-4 mt-0.5 shrink-0 text-gray-500" />
+                  <span>
+                    <span className="block text-sm font-medium text-gray-800">
+                      {template.name}
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      {template.title} ·{" "}
+                      {t("common.shiftCount", {
+                        count: template.shifts.length,
+                      })}
+                    </span>
+                  </span>
+                </button>
+                <button
+                  onClick={() => onDeleteTemplate(template)}
+                  className="text-red-500 hover:text-red-700"
+                  title={t("newVacancy.deleteTemplate")}
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default NewVacancyDialog;
@@ -0,0 +1,210 @@
+import React, {
+  useState,
+  useCallback,
+  useMemo,
+  useRef,
+  useEffect,
+} from "react";
+import { X, CheckCircle2, AlertCircle, Info } from "lucide-react";
+import { NotificationContext } from "../hooks/useNotifications";
+import useI18n from "../hooks/useI18n";
+
+const DEFAULT_DURATION = 5000;
+const ERROR_DURATION = 8000;
+
+const toastStyles = {
+  success: { icon: CheckCircle2, className: "border-green-500 text-green-700" },
+  error: { icon: AlertCircle, className: "border-red-500 text-red-700" },
+  info: { icon: Info, className: "border-gray-500 text-gray-700" },
+};
+
+const Toast = ({ toast, onDismiss }) => {
+  const { t } = useI18n();
+  const [showDetails, setShowDetails] = useState(false);
+  const { icon: Icon, className } = toastStyles[toast.type];
+
+  return (
+    <div
+      role={toast.type === "error" ? "alert" : "status"}
+      className={`bg-white border-l-4 ${className} rounded-md shadow-lg p-3 w-80 pointer-events-auto`}
+    >
+      <div className="flex items-start gap-2">
+        <Icon className="w-5 h-5 shrink-0" />
+        <p className="flex-1 text-sm text-gray-800">{toast.message}</p>
+        <button
+          onClick={onDismiss}
+          className="text-gray-400 hover:text-gray-600"
+          title={t("common.dismiss")}
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      {(toast.details || toast.action) && (
+        <div className="flex items-center gap-3 mt-2 pl-7 text-xs">
+          {toast.action && (
+            <button
+              onClick={() => {
+                toast.action.onClick();
+                onDismiss();
+              }}
+              className="font-semibold text-gray-800 hover:underline"
+            >
+              {toast.action.label}
+            </button>
+          )}
+          {toast.details && (
+            <button
+              onClick={() => setShowDetails(!showDetails)}
+              className="text-gray-500 hover:underline"
+            >
+              {showDetails ? t("common.hideDetails") : t("common.details")}
+            </button>
+          )}
+        </div>
+      )}
+      {showDetails && (
+        <pre className="mt-2 ml-7 p-2 bg-gray-50 rounded text-xs text-gray-600 whitespace-pre-wrap break-words max-h-40 overflow-y-auto">
+          {toast.details}
+        </pre>
+      )}
+    </div>
+  );
+};
+
+const ConfirmDialog = ({ request, onClose }) => {
+  const { t } = useI18n();
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 z-[60]"
+        onClick={() => onClose(false)}
+      />
+      <div className="fixed inset-0 z-[70] flex items-center justify-center p-6 pointer-events-none">
+        <div
+          role="alertdialog"
+          aria-modal="true"
+          className="bg-white rounded-lg shadow-lg w-full max-w-sm p-6 pointer-events-auto"
+        >
+          <h2 className="text-lg font-semibold text-gray-800 mb-2">
+            {request.title}
+          </h2>
+          {request.message && (
+            <p className="text-sm text-gray-600 mb-6">{request.message}</p>
+          )}
+          <div className="flex gap-3">
+            <button
+              onClick={() => onClose(false)}
+              className="flex-1 border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50"
+            >
+              {t("common.cancel")}
+            </button>
+            <button
+              autoFocus
+              onClick={() => onClose(true)}
+              className={`flex-1 text-white px-4 py-2 rounded-md ${
+                request.danger
+                  ? "bg-red-600 hover:bg-red-700"
+                  : "bg-gray-700 hover:bg-gray-800"
+              }`}
+            >
+              {request.confirmLabel || t("common.ok")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+// In-app notifications: a toast stack and a confirmation dialog, available to
+// every component below through useNotifications().
+const NotificationProvider = ({ children }) => {
+  const [toasts, setToasts] = useState([]);
+  const [confirmRequest, setConfirmRequest] = useState(null);
+  const nextIdRef = useRef(1);
+  const timersRef = useRef(new Map());
+  const confirmRequestRef = useRef(null);
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timersRef.current.get(id));
+    timersRef.current.delete(id);
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  }, []);
+
+  const notify = useCallback(
+    ({ type = "info", message, details = "", action = null, duration }) => {
+      const id = nextIdRef.current++;
+      setToasts((prev) => [...prev, { id, type, message, details, action }]);
+      const timeout =
+        duration ?? (type === "error" ? ERROR_DURATION : DEFAULT_DURATION);
+      if (timeout > 0) {
+        timersRef.current.set(
+          id,
+          setTimeout(() => dismiss(id), timeout)
+        );
+      }
+      return id;
+    },
+    [dismiss]
+  );
+
+  const closeConfirm = useCallback((confirmed) => {
+    confirmRequestRef.current?.resolve(confirmed);
+    confirmRequestRef.current = null;
+    setConfirmRequest(null);
+  }, []);
+
+  // A new request cancels the one still open, so its caller isn't left waiting
+  const confirm = useCallback(
+    (request) =>
+      new Promise((resolve) => {
+        confirmRequestRef.current?.resolve(false);
+        confirmRequestRef.current = { ...request, resolve };
+        setConfirmRequest(confirmRequestRef.current);
+      }),
+    []
+  );
+
+  // Escape cancels the confirmation dialog
+  useEffect(() => {
+    if (!confirmRequest) return;
+    const handleKey = (e) => {
+      if (e.key === "Escape") closeConfirm(false);
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [confirmRequest, closeConfirm]);
+
+  useEffect(() => {
+    const timers = timersRef.current;
+    return () => timers.forEach(clearTimeout);
+  }, []);
+
+  const value = useMemo(
+    () => ({ notify, dismiss, confirm }),
+    [notify, dismiss, confirm]
+  );
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+      <div
+        aria-live="polite"
+        className="fixed bottom-4 right-4 z-[80] flex flex-col gap-2 pointer-events-none"
+      >
+        {toasts.map((toast) => (
+          <Toast
+            key={toast.id}
+            toast={toast}
+            onDismiss={() => dismiss(toast.id)}
+          />
+        ))}
+      </div>
+      {confirmRequest && (
+        <ConfirmDialog request={confirmRequest} onClose={closeConfirm} />
+      )}
+    </NotificationContext.Provider>
+  );
+};
+
+export default NotificationProvider;
@@ -0,0 +1,219 @@
+import React, { useState } from "react";
+import { X, Euro, Plus } from "lucide-react";
+import { formatDate, formatTime, getCurrencySymbol } from "../utils/format";
+import { timeOptions } from "../utils/shifts";
+import { defaultPricingRules, getRate } from "../utils/pricing";
+import useI18n from "../hooks/useI18n";
+import useShiftTypes from "../hooks/useShiftTypes";
+
+const inputClass =
+  "px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-gray-700";
+
+// Editor for the pricing rules. Changes only take effect on SAVE.
+const PricingRulesDialog = ({ rules, onSave, onClose }) => {
+  const { t, typeLabel } = useI18n();
+  const { activeShiftTypes } = useShiftTypes();
+  const [draft, setDraft] = useState(rules);
+  const [holidayInput, setHolidayInput] = useState("");
+
+  const update = (name, value) =>
+    setDraft((prev) => ({ ...prev, [name]: value }));
+
+  const updateRate = (type, name, value) =>
+    setDraft((prev) => ({
+      ...prev,
+      rates: {
+        ...prev.rates,
+        [type]: { ...getRate(prev, type), [name]: value },
+      },
+    }));
+
+  const addHoliday = () => {
+    if (!holidayInput || draft.holidays.includes(holidayInput)) return;
+    update("holidays", [...draft.holidays, holidayInput].sort());
+    setHolidayInput("");
+  };
+
+  const percentInput = (name) => (
+    <span className="flex items-center gap-1">
+      <input
+        type="number"
+        min="0"
+        value={draft[name]}
+        onChange={(e) => update(name, Number(e.target.value))}
+        className={`${inputClass} w-20`}
+      />
+      %
+    </span>
+  );
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 z-40"
+        onClick={onClose}
+      />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-6 pointer-events-none">
+        <div className="bg-white rounded-lg shadow-lg w-full max-w-lg max-h-full overflow-y-auto p-6 pointer-events-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+              <Euro className="w-5 h-5" /> {t("pricing.title")}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mb-4">{t("pricing.intro")}</p>
+
+          <h3 className="font-semibold text-gray-800 mb-2">
+            {t("pricing.baseRate")}
+          </h3>
+          <div className="space-y-2 mb-4">
+            {activeShiftTypes.map(({ name: type }) => (
+              <div key={type} className="flex items-center gap-2 text-sm">
+                <span className="w-28 text-gray-700">{typeLabel(type)}</span>
+                <select
+                  value={getRate(draft, type).mode}
+                  onChange={(e) => updateRate(type, "mode", e.target.value)}
+                  className={inputClass}
+                >
+                  <option value="flat">{t("pricing.flat")}</option>
+                  <option value="hourly">{t("pricing.hourly")}</option>
+                </select>
+                <span className="text-gray-500">{getCurrencySymbol()}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={getRate(draft, type).amount}
+                  onChange={(e) =>
+                    updateRate(type, "amount", Number(e.target.value))
+                  }
+                  className={`${inputClass} w-24`}
+                />
+              </div>
+            ))}
+          </div>
+
+          <h3 className="font-semibold text-gray-800 mb-2">
+            {t("pricing.surcharges")}
+          </h3>
+          <div className="space-y-2 mb-4 text-sm text-gray-700">
+            <div className="flex items-center gap-2">
+              <span className="w-28">{t("pricing.weekend")}</span>
+              {percentInput("weekendPercent")}
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="w-28">{t("pricing.holiday")}</span>
+              {percentInput("holidayPercent")}
+              <span className="text-xs text-gray-500">
+                {t("pricing.insteadOfWeekend")}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="w-28">{t("pricing.night")}</span>
+              {percentInput("nightPercent")}
+              <select
+                value={draft.nightStart}
+                onChange={(e) => update("nightStart", e.target.value)}
+                className={inputClass}
+              >
+                {timeOptions.map((time) => (
+                  <option key={time} value={time}>
+                    {formatTime(time)}
+                  </option>
+                ))}
+              </select>
+              -
+              <select
+                value={draft.nightEnd}
+                onChange={(e) => update("nightEnd", e.target.value)}
+                className={inputClass}
+              >
+                {timeOptions.map((time) => (
+                  <option key={time} value={time}>
+                    {formatTime(time)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <h3 className="font-semibold text-gray-800 mb-2">
+            {t("pricing.holidays")}
+          </h3>
+          <div className="flex gap-2 mb-2">
+            <input
+              type="date"
+              value={holidayInput}
+              onChange={(e) => setHolidayInput(e.target.value)}
+              className={`${inputClass} flex-1`}
+            />
+            <button
+              type="button"
+              onClick={addHoliday}
+              disabled={!holidayInput}
+              className="bg-gray-700 text-white p-2 rounded-md hover:bg-gray-800 disabled:opacity-50"
+              title={t("pricing.addHoliday")}
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-1 mb-6">
+            {draft.holidays.length === 0 && (
+              <p className="text-xs text-gray-400">{t("pricing.noHolidays")}</p>
+            )}
+            {draft.holidays.map((date) => (
+              <span
+                key={date}
+                className="bg-gray-100 text-gray-700 px-2 py-1 rounded text-xs flex items-center gap-1"
+              >
+                {formatDate(date)}
+                <button
+                  onClick={() =>
+                    update(
+                      "holidays",
+                      draft.holidays.filter((d) => d !== date)
+                    )
+                  }
+                  className="text-gray-400 hover:text-gray-600"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              onClick={() => setDraft(defaultPricingRules)}
+              className="border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50"
+            >
+              {t("pricing.reset")}
+            </button>
+            <button
+              onClick={onClose}
+              className="flex-1 border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50"
+            >
+              {t("common.cancel")}
+            </button>
+            <button
+              onClick={() => {
+                onSave(draft);
+                onClose();
+              }}
+              className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800"
+            >
+              {t("common.save")}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default PricingRulesDialog;
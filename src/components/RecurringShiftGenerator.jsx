@@ -0,0 +1,377 @@
+import React, { useMemo, useState } from "react";
+import { Repeat, X } from "lucide-react";
+import { generateOccurrenceDates, MAX_OCCURRENCES } from "../utils/recurrence";
+import { getTodayISO } from "../utils/date";
+import {
+  formatDate,
+  formatTime,
+  formatTimeRange,
+  formatCurrency,
+  getCurrencySymbol,
+  getWeekdayLabels,
+} from "../utils/format";
+import { timeOptions, createShiftKey, shiftsOverlap } from "../utils/shifts";
+import { getShiftDefaults } from "../utils/shiftTypes";
+import useI18n from "../hooks/useI18n";
+import useShiftTypes from "../hooks/useShiftTypes";
+
+const getInitialRule = () => ({
+  frequency: "weekly",
+  interval: 1,
+  weekdays: [0, 2, 4], // Mon/Wed/Fri
+  startDate: getTodayISO(),
+  endMode: "until",
+  untilDate: "",
+  count: 10,
+  excludedDates: [],
+  ...getShiftDefaults(),
+});
+
+const inputClass =
+  "w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-gray-700";
+
+// Builds a series of shifts from a recurrence rule and hands them to `onAdd`
+// once the user has reviewed the preview.
+const RecurringShiftGenerator = ({ existingShifts, onAdd, onClose }) => {
+  const { t, typeLabel } = useI18n();
+  const { activeShiftTypes } = useShiftTypes();
+  const [rule, setRule] = useState(getInitialRule);
+  const [excludeInput, setExcludeInput] = useState("");
+  const [skipConflicts, setSkipConflicts] = useState(true);
+
+  const updateRule = (name, value) =>
+    setRule((prev) => ({ ...prev, [name]: value }));
+
+  const toggleWeekday = (weekday) =>
+    updateRule(
+      "weekdays",
+      rule.weekdays.includes(weekday)
+        ? rule.weekdays.filter((d) => d !== weekday)
+        : [...rule.weekdays, weekday].sort()
+    );
+
+  const addExcludedDate = () => {
+    if (excludeInput && !rule.excludedDates.includes(excludeInput)) {
+      updateRule("excludedDates", [...rule.excludedDates, excludeInput].sort());
+    }
+    setExcludeInput("");
+  };
+
+  // Preview: generated shifts, each flagged if it clashes with a drafted one
+  const preview = useMemo(
+    () =>
+      generateOccurrenceDates(rule).map((date) => {
+        const shift = {
+          date,
+          start_time: rule.start_time,
+          end_time: rule.end_time,
+          type: rule.type,
+          price: rule.price,
+        };
+        return {
+          shift,
+          conflict: existingShifts.some((existing) =>
+            shiftsOverlap(existing, shift)
+          ),
+        };
+      }),
+    [rule, existingShifts]
+  );
+
+  const conflictCount = preview.filter((p) => p.conflict).length;
+  const toAdd = preview.filter((p) => !(skipConflicts && p.conflict));
+
+  const handleAdd = () => {
+    onAdd(toAdd.map(({ shift }) => ({ key: createShiftKey(), ...shift })));
+  };
+
+  return (
+    <div className="border p-4 rounded-md border-gray-200 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-700 flex items-center gap-2">
+          <Repeat className="w-4 h-4" /> {t("recurring.title")}
+        </span>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Frequency & interval */}
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">
+            {t("recurring.repeat")}
+          </label>
+          <select
+            value={rule.frequency}
+            onChange={(e) => updateRule("frequency", e.target.value)}
+            className={inputClass}
+          >
+            <option value="daily">{t("recurring.daily")}</option>
+            <option value="weekly">{t("recurring.weekly")}</option>
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">
+            {t(
+              rule.frequency === "daily"
+                ? "recurring.everyDays"
+                : "recurring.everyWeeks"
+            )}
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={rule.interval}
+            onChange={(e) =>
+              updateRule(
+                "interval",
+                Math.max(1, parseInt(e.target.value, 10) || 1)
+              )
+            }
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {rule.frequency === "weekly" && (
+        <div className="flex gap-1">
+          {getWeekdayLabels().map((label, weekday) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleWeekday(weekday)}
+              className={`flex-1 text-xs py-1 rounded ${
+                rule.weekdays.includes(weekday)
+                  ? "bg-gray-700 text-white"
+                  : "border border-gray-300 text-gray-700"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Range */}
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">
+            {t("recurring.from")}
+          </label>
+          <input
+            type="date"
+            value={rule.startDate}
+            onChange={(e) => updateRule("startDate", e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">
+            <select
+              value={rule.endMode}
+              onChange={(e) => updateRule("endMode", e.target.value)}
+              className="text-xs"
+            >
+              <option value="until">{t("recurring.until")}</option>
+              <option value="count">{t("recurring.occurrences")}</option>
+            </select>
+          </label>
+          {rule.endMode === "until" ? (
+            <input
+              type="date"
+              value={rule.untilDate}
+              min={rule.startDate}
+              onChange={(e) => updateRule("untilDate", e.target.value)}
+              className={inputClass}
+            />
+          ) : (
+            <input
+              type="number"
+              min="1"
+              max={MAX_OCCURRENCES}
+              value={rule.count}
+              onChange={(e) =>
+                updateRule("count", parseInt(e.target.value, 10) || 0)
+              }
+              className={inputClass}
+            />
+          )}
+        </div>
+      </div>
+
+      {/* Shift details */}
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">
+            {t("shift.startTime")}
+          </label>
+          <select
+            value={rule.start_time}
+            onChange={(e) => updateRule("start_time", e.target.value)}
+            className={inputClass}
+          >
+            {timeOptions.map((time) => (
+              <option key={time} value={time}>
+                {formatTime(time)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">
+            {t("shift.endTime")}
+          </label>
+          <select
+            value={rule.end_time}
+            onChange={(e) => updateRule("end_time", e.target.value)}
+            className={inputClass}
+          >
+            {timeOptions.map((time) => (
+              <option key={time} value={time}>
+                {formatTime(time)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">
+            {t("shift.type")}
+          </label>
+          <select
+            value={rule.type}
+            onChange={(e) =>
+              // A new type brings its own default times and price
+              setRule((prev) => ({
+                ...prev,
+                ...getShiftDefaults(e.target.value),
+              }))
+            }
+            className={inputClass}
+          >
+            {activeShiftTypes.map(({ name }) => (
+              <option key={name} value={name}>
+                {typeLabel(name)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs text-gray-600 mb-1">
+            {t("shift.price", { currency: getCurrencySymbol() })}
+          </label>
+          <input
+            type="number"
+            value={rule.price}
+            onChange={(e) => updateRule("price", parseInt(e.target.value, 10))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {/* Excluded dates */}
+      <div>
+        <label className="block text-xs text-gray-600 mb-1">
+          {t("recurring.excludedDates")}
+        </label>
+        <div className="flex gap-2">
+          <input
+            type="date"
+            value={excludeInput}
+            onChange={(e) => setExcludeInput(e.target.value)}
+            className={inputClass}
+          />
+          <button
+            type="button"
+            onClick={addExcludedDate}
+            disabled={!excludeInput}
+            className="px-2 text-sm border border-gray-300 rounded disabled:opacity-50"
+          >
+            {t("recurring.exclude")}
+          </button>
+        </div>
+        {rule.excludedDates.length > 0 && (
+          <div className="flex flex-wrap gap-1 mt-1">
+            {rule.excludedDates.map((date) => (
+              <span
+                key={date}
+                className="bg-gray-100 text-xs px-2 py-1 rounded flex items-center gap-1"
+              >
+                {formatDate(date)}
+                <button
+                  type="button"
+                  onClick={() =>
+                    updateRule(
+                      "excludedDates",
+                      rule.excludedDates.filter((d) => d !== date)
+                    )
+                  }
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Preview */}
+      <div>
+        <p className="text-xs text-gray-600 mb-1">
+          {t("recurring.preview", { count: preview.length })}
+          {conflictCount > 0 && (
+            <span className="text-red-500">
+              {" "}
+              · {t("recurring.conflicts", { count: conflictCount })}
+            </span>
+          )}
+        </p>
+        <div className="max-h-32 overflow-y-auto text-xs space-y-1">
+          {preview.map(({ shift, conflict }) => (
+            <div
+              key={shift.date}
+              className={`flex justify-between px-2 py-1 rounded ${
+                conflict ? "bg-red-50 text-red-700" : "bg-gray-50"
+              }`}
+            >
+              <span>
+                {formatDate(shift.date, { weekday: true })}{" "}
+                {formatTimeRange(shift.start_time, shift.end_time)}
+              </span>
+              <span>
+                {conflict
+                  ? t("recurring.conflict")
+                  : formatCurrency(shift.price)}
+              </span>
+            </div>
+          ))}
+        </div>
+        {conflictCount > 0 && (
+          <label className="flex items-center gap-2 text-xs text-gray-600 mt-2">
+            <input
+              type="checkbox"
+              checked={skipConflicts}
+              onChange={(e) => setSkipConflicts(e.target.checked)}
+            />
+            {t("recurring.skipConflicts")}
+          </label>
+        )}
+      </div>
+
+      <button
+        type="button"
+        onClick={handleAdd}
+        disabled={toAdd.length === 0}
+        className="w-full bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800 disabled:opacity-50"
+      >
+        {t("recurring.add", { count: toAdd.length })}
+      </button>
+    </div>
+  );
+};
+
+export default RecurringShiftGenerator;
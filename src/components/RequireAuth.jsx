@@ -0,0 +1,26 @@
+import React from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import useAuth from "../hooks/useAuth";
+import useI18n from "../hooks/useI18n";
+import LoginScreen from "./LoginScreen";
+
+// Sends visitors without a session to /login. When the session ends on a 401
+// the sign-in form is laid over `children` instead, so they stay mounted and
+// keep what is being edited (an open drawer, a dialog, ...).
+const RequireAuth = ({ children }) => {
+  const { t } = useI18n();
+  const { session, isExpired } = useAuth();
+  const location = useLocation();
+
+  if (!session && !isExpired) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  return (
+    <>
+      {children}
+      {!session && <LoginScreen notice={t("auth.expired")} />}
+    </>
+  );
+};
+
+export default RequireAuth;
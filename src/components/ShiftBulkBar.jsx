@@ -0,0 +1,182 @@
+import React, { useState } from "react";
+import { Trash2 } from "lucide-react";
+import {
+  formatTime,
+  getCurrencySymbol,
+  getWeekdayLabels,
+} from "../utils/format";
+import useI18n from "../hooks/useI18n";
+import useShiftTypes from "../hooks/useShiftTypes";
+import { timeOptions } from "../utils/shifts";
+import { getShiftDefaults } from "../utils/shiftTypes";
+import { bulkActions, getShiftWeekday } from "../utils/bulkEdit";
+
+const inputClass =
+  "px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-gray-700";
+
+// Taken from the current default type when the bar opens
+const getDefaultValues = () => ({
+  ...getShiftDefaults(),
+  price_percent: 10,
+});
+
+// Selection helpers and one bulk action at a time for the drawer's shifts.
+// `onApply(action, value)` changes the selected shifts, `onRemove` drops them.
+const ShiftBulkBar = ({
+  shifts,
+  selectedKeys,
+  onSelect,
+  onApply,
+  onRemove,
+}) => {
+  const { t, typeLabel } = useI18n();
+  const { activeShiftTypes } = useShiftTypes();
+  const [action, setAction] = useState("price");
+  const [values, setValues] = useState(getDefaultValues);
+
+  const value = values[action];
+  const setValue = (newValue) =>
+    setValues((prev) => ({ ...prev, [action]: newValue }));
+
+  const allSelected =
+    shifts.length > 0 && selectedKeys.length === shifts.length;
+  const usedTypes = [...new Set(shifts.map((shift) => shift.type))];
+  const isValueValid =
+    action === "price" || action === "price_percent"
+      ? value !== "" && !isNaN(Number(value))
+      : Boolean(value);
+
+  return (
+    <div className="border border-gray-200 rounded-md p-3 space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="flex items-center gap-1 text-gray-700">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={() =>
+              onSelect(allSelected ? [] : shifts.map((shift) => shift.key))
+            }
+          />
+          {t("shiftBulk.all")}
+        </label>
+        <select
+          value=""
+          onChange={(e) =>
+            onSelect(
+              shifts
+                .filter(
+                  (shift) => getShiftWeekday(shift) === Number(e.target.value)
+                )
+                .map((shift) => shift.key)
+            )
+          }
+          className={inputClass}
+          title={t("shiftBulk.byWeekdayHint")}
+        >
+          <option value="">{t("shiftBulk.byWeekday")}</option>
+          {getWeekdayLabels().map((label, index) => (
+            <option key={label} value={index}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          value=""
+          onChange={(e) =>
+            onSelect(
+              shifts
+                .filter((shift) => shift.type === e.target.value)
+                .map((shift) => shift.key)
+            )
+          }
+          className={inputClass}
+          title={t("shiftBulk.byTypeHint")}
+        >
+          <option value="">{t("shiftBulk.byType")}</option>
+          {usedTypes.map((type) => (
+            <option key={type} value={type}>
+              {typeLabel(type)}
+            </option>
+          ))}
+        </select>
+        <span className="text-xs text-gray-500">
+          {t("shiftBulk.selected", { count: selectedKeys.length })}
+        </span>
+      </div>
+
+      {selectedKeys.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={action}
+            onChange={(e) => setAction(e.target.value)}
+            className={inputClass}
+          >
+            {bulkActions.map((option) => (
+              <option key={option} value={option}>
+                {t(`bulkEdit.actions.${option}`)}
+              </option>
+            ))}
+          </select>
+          {action === "start_time" || action === "end_time" ? (
+            <select
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              className={inputClass}
+            >
+              {timeOptions.map((time) => (
+                <option key={time} value={time}>
+                  {formatTime(time)}
+                </option>
+              ))}
+            </select>
+          ) : action === "type" ? (
+            <select
+              value={value}
+              onChange={(e) => setValue(e.target.value)}
+              className={inputClass}
+            >
+              {activeShiftTypes.map(({ name }) => (
+                <option key={name} value={name}>
+                  {typeLabel(name)}
+                </option>
+              ))}
+            </select>
+          ) : (
+            <span className="flex items-center gap-1">
+              {action === "price" && (
+                <span className="text-gray-500">{getCurrencySymbol()}</span>
+              )}
+              <input
+                type="number"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                className={`${inputClass} w-20`}
+              />
+              {action === "price_percent" && (
+                <span className="text-gray-500">%</span>
+              )}
+            </span>
+          )}
+          <button
+            type="button"
+            onClick={() => onApply(action, value)}
+            disabled={!isValueValid}
+            className="bg-gray-700 text-white px-3 py-1 rounded-md hover:bg-gray-800 disabled:opacity-50"
+          >
+            {t("shiftBulk.apply")}
+          </button>
+          <button
+            type="button"
+            onClick={onRemove}
+            className="ml-auto text-red-500 hover:text-red-700 flex items-center gap-1"
+            title={t("shiftBulk.removeHint")}
+          >
+            <Trash2 className="w-4 h-4" /> {t("shiftBulk.remove")}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShiftBulkBar;
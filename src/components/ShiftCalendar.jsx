@@ -0,0 +1,324 @@
+import React, { useMemo, useState } from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import {
+  toISODate,
+  addDays,
+  addMonths,
+  startOfWeek,
+  startOfMonth,
+  timeToMinutes,
+  parseISODate,
+  getTodayISO,
+} from "../utils/date";
+import {
+  formatDate,
+  formatMonth,
+  formatHour,
+  formatTimeRange,
+  formatCurrency,
+  getWeekdayLabels,
+} from "../utils/format";
+import { isOvernight, getShiftEndDate } from "../utils/shifts";
+import { getShiftTypeColor } from "../utils/shiftTypes";
+import useI18n from "../hooks/useI18n";
+import useShiftTypes from "../hooks/useShiftTypes";
+import ShiftTypeIcon from "./ShiftTypeIcon";
+
+const HOUR_HEIGHT = 32; // px per hour in the week view
+const hours = Array.from({ length: 24 }, (_, i) => i);
+
+// Minutes [start, end) an entry covers on its day in the week view. Overnight
+// shifts run to midnight on their start day and from midnight on the
+// continuation day.
+const getDaySpan = (entry) => {
+  const { start_time, end_time } = entry.swift;
+  const start = entry.continued ? 0 : timeToMinutes(start_time);
+  const end =
+    isOvernight(start_time, end_time) && !entry.continued
+      ? 24 * 60
+      : timeToMinutes(end_time);
+  return { start, end: Math.max(end, start + 15) };
+};
+
+// Places the entries of one day side by side where they overlap: each group
+// of overlapping entries is split into columns, and every entry gets the
+// first column free at its start.
+// Returns [{ entry, start, end, column, columns }] in the order given.
+const layoutDay = (dayEntries) => {
+  const items = dayEntries.map((entry) => ({ entry, ...getDaySpan(entry) }));
+  const byStart = [...items].sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let group = [];
+  let columnEnds = []; // end of the last entry in each column of the group
+  let groupEnd = 0;
+  const closeGroup = () => {
+    group.forEach((item) => (item.columns = columnEnds.length));
+    group = [];
+    columnEnds = [];
+  };
+
+  byStart.forEach((item) => {
+    if (group.length > 0 && item.start >= groupEnd) closeGroup();
+    const free = columnEnds.findIndex((end) => end <= item.start);
+    item.column = free === -1 ? columnEnds.length : free;
+    columnEnds[item.column] = item.end;
+    groupEnd = group.length > 0 ? Math.max(groupEnd, item.end) : item.end;
+    group.push(item);
+  });
+  closeGroup();
+  return items;
+};
+
+// entries: [{ vacancy, swift }] — already filtered by the caller.
+const ShiftCalendar = ({ entries, onSelectVacancy }) => {
+  const { t, typeLabel } = useI18n();
+  const { activeShiftTypes } = useShiftTypes();
+  const [mode, setMode] = useState("week"); // "week" | "month"
+  const [anchorDate, setAnchorDate] = useState(() =>
+    parseISODate(getTodayISO())
+  );
+
+  // Group entries by their ISO date for quick lookup per day cell. Overnight
+  // shifts also appear on the following day as a continuation.
+  const entriesByDate = useMemo(() => {
+    const map = {};
+    entries.forEach((entry) => {
+      (map[entry.swift.date] ||= []).push(entry);
+      const { date, start_time, end_time } = entry.swift;
+      if (isOvernight(start_time, end_time)) {
+        const nextDate = getShiftEndDate(date, start_time, end_time);
+        (map[nextDate] ||= []).push({ ...entry, continued: true });
+      }
+    });
+    Object.values(map).forEach((list) =>
+      list.sort(
+        (a, b) =>
+          Number(b.continued || 0) - Number(a.continued || 0) ||
+          a.swift.start_time.localeCompare(b.swift.start_time)
+      )
+    );
+    return map;
+  }, [entries]);
+
+  // Selectable types, plus archived or unknown ones that shifts still use
+  const legendTypes = useMemo(() => {
+    const names = activeShiftTypes.map((type) => type.name);
+    entries.forEach(({ swift }) => {
+      if (!names.includes(swift.type)) names.push(swift.type);
+    });
+    return names;
+  }, [activeShiftTypes, entries]);
+
+  const days = useMemo(() => {
+    if (mode === "week") {
+      const start = startOfWeek(anchorDate);
+      return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+    }
+    // Month grid: full weeks covering the month
+    const first = startOfMonth(anchorDate);
+    const gridStart = startOfWeek(first);
+    const last = addDays(addMonths(first, 1), -1);
+    const gridEnd = addDays(startOfWeek(last), 6);
+    const result = [];
+    for (let d = gridStart; d <= gridEnd; d = addDays(d, 1)) result.push(d);
+    return result;
+  }, [mode, anchorDate]);
+
+  const navigate = (direction) => {
+    setAnchorDate((prev) =>
+      mode === "week"
+        ? addDays(prev, 7 * direction)
+        : addMonths(prev, direction)
+    );
+  };
+
+  const heading =
+    mode === "week"
+      ? `${formatDate(toISODate(days[0]))} – ${formatDate(toISODate(days[6]))}`
+      : formatMonth(anchorDate);
+
+  const todayISO = getTodayISO();
+  const weekdayLabels = getWeekdayLabels();
+
+  const renderEntryLabel = ({ vacancy, swift, continued }) => (
+    <>
+      <span className="font-semibold">
+        {continued ? "↳ " : ""}
+        {vacancy.title}
+      </span>{" "}
+      {formatTimeRange(swift.start_time, swift.end_time)}
+      {isOvernight(swift.start_time, swift.end_time) ? " (+1)" : ""} ·{" "}
+      {formatCurrency(swift.price)}
+    </>
+  );
+
+  return (
+    <div>
+      {/* Toolbar */}
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => navigate(-1)}
+            className="text-gray-500 hover:text-gray-700"
+            title={t("calendar.previous")}
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <button
+            type="button"
+            onClick={() => setAnchorDate(parseISODate(getTodayISO()))}
+            className="px-2 py-1 text-sm border border-gray-300 rounded"
+          >
+            {t("calendar.today")}
+          </button>
+          <button
+            type="button"
+            onClick={() => navigate(1)}
+            className="text-gray-500 hover:text-gray-700"
+            title={t("calendar.next")}
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+          <span className="font-semibold text-gray-800">{heading}</span>
+        </div>
+        <div className="flex gap-2">
+          {["week", "month"].map((m) => (
+            <button
+              key={m}
+              type="button"
+              onClick={() => setMode(m)}
+              className={`px-3 py-1 text-sm rounded ${
+                mode === m
+                  ? "bg-gray-700 text-white"
+                  : "border border-gray-300 text-gray-700"
+              }`}
+            >
+              {t(`calendar.${m}`)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Legend */}
+      <div className="flex gap-4 mb-3 text-xs text-gray-600">
+        {legendTypes.map((type) => (
+          <span key={type} className="flex items-center gap-1">
+            <span
+              className="rounded"
+              style={{
+                width: 10,
+                height: 10,
+                backgroundColor: getShiftTypeColor(type),
+              }}
+            />
+            <ShiftTypeIcon type={type} className="w-3 h-3" colored />
+            {typeLabel(type)}
+          </span>
+        ))}
+      </div>
+
+      {mode === "week" ? (
+        <div className="flex border border-gray-200 rounded-md overflow-y-auto">
+          {/* Hour gutter */}
+          <div className="text-xs text-gray-500" style={{ width: 40 }}>
+            <div style={{ height: 24 }} />
+            {hours.map((h) => (
+              <div key={h} style={{ height: HOUR_HEIGHT }}>
+                {formatHour(h)}
+              </div>
+            ))}
+          </div>
+
+          {days.map((day) => {
+            const iso = toISODate(day);
+            return (
+              <div key={iso} className="flex-1 border-l border-gray-200">
+                <div
+                  className={`text-xs text-center font-medium ${
+                    iso === todayISO ? "text-gray-800" : "text-gray-500"
+                  }`}
+                  style={{ height: 24 }}
+                >
+                  {weekdayLabels[(day.getDay() + 6) % 7]} {day.getDate()}
+                </div>
+                <div className="relative" style={{ height: HOUR_HEIGHT * 24 }}>
+                  {layoutDay(entriesByDate[iso] || []).map(
+                    ({ entry, start, end, column, columns }, index) => (
+                      <button
+                        key={`${entry.vacancy.id}-${index}`}
+                        type="button"
+                        onClick={() => onSelectVacancy(entry.vacancy)}
+                        title={`${entry.vacancy.title} (${typeLabel(entry.swift.type)})`}
+                        className="absolute text-white text-xs rounded p-1 overflow-hidden text-left"
+                        style={{
+                          top: (start / 60) * HOUR_HEIGHT,
+                          height: ((end - start) / 60) * HOUR_HEIGHT,
+                          left: `calc(${(column / columns) * 100}% + 2px)`,
+                          width: `calc(${100 / columns}% - 4px)`,
+                          backgroundColor: getShiftTypeColor(entry.swift.type),
+                        }}
+                      >
+                        {renderEntryLabel(entry)}
+                      </button>
+                    )
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      ) : (
+        <div className="grid grid-cols-7 border border-gray-200 rounded-md">
+          {weekdayLabels.map((label) => (
+            <div
+              key={label}
+              className="text-xs text-center font-medium text-gray-500 p-1"
+            >
+              {label}
+            </div>
+          ))}
+          {days.map((day) => {
+            const iso = toISODate(day);
+            const inMonth = day.getMonth() === anchorDate.getMonth();
+            return (
+              <div
+                key={iso}
+                className={`border-t border-gray-200 p-1 space-y-1 ${
+                  inMonth ? "" : "bg-gray-50"
+                }`}
+                style={{ minHeight: 80 }}
+              >
+                <div
+                  className={`text-xs ${
+                    iso === todayISO
+                      ? "font-bold text-gray-800"
+                      : "text-gray-500"
+                  }`}
+                >
+                  {day.getDate()}
+                </div>
+                {(entriesByDate[iso] || []).map((entry, index) => (
+                  <button
+                    key={`${entry.vacancy.id}-${index}`}
+                    type="button"
+                    onClick={() => onSelectVacancy(entry.vacancy)}
+                    title={`${entry.vacancy.title} (${typeLabel(entry.swift.type)})`}
+                    className="block w-full text-white text-xs rounded px-1 text-left truncate"
+                    style={{
+                      backgroundColor: getShiftTypeColor(entry.swift.type),
+                    }}
+                  >
+                    {renderEntryLabel(entry)}
+                  </button>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShiftCalendar;
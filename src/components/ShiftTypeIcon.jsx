@@ -0,0 +1,50 @@
+import React from "react";
+import {
+  Stethoscope,
+  Phone,
+  Ambulance,
+  Siren,
+  House,
+  HeartPulse,
+  Syringe,
+  Pill,
+  Baby,
+  Hospital,
+  Video,
+  Car,
+  Moon,
+  Clock,
+} from "lucide-react";
+import { getShiftType, shiftTypeFallback } from "../utils/shiftTypes";
+
+// Keyed by the names in utils/shiftTypes (shiftTypeIconNames)
+const icons = {
+  stethoscope: Stethoscope,
+  phone: Phone,
+  ambulance: Ambulance,
+  siren: Siren,
+  house: House,
+  "heart-pulse": HeartPulse,
+  syringe: Syringe,
+  pill: Pill,
+  baby: Baby,
+  hospital: Hospital,
+  video: Video,
+  car: Car,
+  moon: Moon,
+  clock: Clock,
+};
+
+// Icon of the shift type `type` (a type name), or the icon named `icon`
+const ShiftTypeIcon = ({ type, icon, className = "w-4 h-4", colored }) => {
+  const shiftType = type ? getShiftType(type) : null;
+  const Icon = icons[icon ?? shiftType?.icon] || icons[shiftTypeFallback.icon];
+  return (
+    <Icon
+      className={className}
+      style={colored && shiftType ? { color: shiftType.color } : undefined}
+    />
+  );
+};
+
+export default ShiftTypeIcon;
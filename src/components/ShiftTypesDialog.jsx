@@ -0,0 +1,366 @@
+import React, { useState } from "react";
+import { X, Tags, Plus } from "lucide-react";
+import { describeApiError } from "../api/vacancyClient";
+import {
+  formatTime,
+  formatTimeRange,
+  formatCurrency,
+  getCurrencySymbol,
+} from "../utils/format";
+import { timeOptions } from "../utils/shifts";
+import { shiftTypeFallback, shiftTypeIconNames } from "../utils/shiftTypes";
+import useI18n from "../hooks/useI18n";
+import useShiftTypes from "../hooks/useShiftTypes";
+import useNotifications from "../hooks/useNotifications";
+import ShiftTypeIcon from "./ShiftTypeIcon";
+
+const inputClass =
+  "w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-gray-700";
+
+const emptyType = {
+  name: "",
+  display_name: "",
+  ...shiftTypeFallback,
+  archived: false,
+};
+
+// Returns a map of field -> message key. Names are compared with the managed
+// types only: the built-in ones can be recreated through the API.
+const validateShiftType = (draft, shiftTypes) => {
+  const errors = {};
+  const name = draft.name.trim();
+  if (!name) {
+    errors.name = "shiftTypesAdmin.nameRequired";
+  } else if (
+    draft.id === undefined &&
+    shiftTypes.some(
+      (type) =>
+        type.id !== undefined && type.name.toLowerCase() === name.toLowerCase()
+    )
+  ) {
+    errors.name = "shiftTypesAdmin.nameTaken";
+  }
+  if (!(Number(draft.default_price) >= 0)) {
+    errors.default_price = "shiftTypesAdmin.priceInvalid";
+  }
+  return errors;
+};
+
+// Admin screen for the managed shift types. Types are archived rather than
+// deleted, since existing swifts keep referring to them by name.
+const ShiftTypesDialog = ({ onClose }) => {
+  const { t, typeLabel } = useI18n();
+  const { notify } = useNotifications();
+  const {
+    shiftTypes,
+    isLoading,
+    loadError,
+    reload,
+    saveShiftType,
+    setShiftTypeArchived,
+  } = useShiftTypes();
+  const [draft, setDraft] = useState(null); // type being edited or created
+  const [errors, setErrors] = useState({});
+  const [saveError, setSaveError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isNew = draft?.id === undefined;
+
+  const update = (name, value) =>
+    setDraft((prev) => ({ ...prev, [name]: value }));
+
+  const startEdit = (type) => {
+    setDraft(type ? { ...type } : emptyType);
+    setErrors({});
+    setSaveError(null);
+  };
+
+  const handleSave = async () => {
+    const validationErrors = validateShiftType(draft, shiftTypes);
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) return;
+
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      await saveShiftType(draft);
+      notify({
+        type: "success",
+        message: t("shiftTypesAdmin.saved", {
+          name: draft.display_name.trim() || draft.name.trim(),
+        }),
+      });
+      setDraft(null);
+    } catch (error) {
+      console.error("Error saving shift type:", error);
+      setSaveError(describeApiError(error));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const toggleArchived = async (type) => {
+    setIsSaving(true);
+    try {
+      await setShiftTypeArchived(type, !type.archived);
+    } catch (error) {
+      console.error("Error archiving shift type:", error);
+      notify({ type: "error", message: describeApiError(error) });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const timeSelect = (name) => (
+    <select
+      value={draft[name]}
+      onChange={(e) => update(name, e.target.value)}
+      className={inputClass}
+    >
+      {timeOptions.map((time) => (
+        <option key={time} value={time}>
+          {formatTime(time)}
+        </option>
+      ))}
+    </select>
+  );
+
+  return (
+    <>
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 z-40"
+        onClick={onClose}
+      />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-6 pointer-events-none">
+        <div className="bg-white rounded-lg shadow-lg w-full max-w-2xl max-h-full overflow-y-auto p-6 pointer-events-auto">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+              <Tags className="w-5 h-5" /> {t("shiftTypesAdmin.title")}
+            </h2>
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700"
+            >
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+          <p className="text-xs text-gray-500 mb-4">
+            {t("shiftTypesAdmin.intro")}
+          </p>
+
+          {loadError && (
+            <div className="flex items-center justify-between gap-2 mb-4 p-2 text-sm text-red-600 bg-red-50 rounded">
+              <span>
+                {t("shiftTypesAdmin.loadFailed", {
+                  error: describeApiError(loadError),
+                })}
+              </span>
+              <button
+                onClick={reload}
+                disabled={isLoading}
+                className="text-sm font-medium hover:underline disabled:opacity-50"
+              >
+                {t("common.retry")}
+              </button>
+            </div>
+          )}
+
+          <div className="divide-y divide-gray-200 mb-4">
+            {shiftTypes.map((type) => (
+              <div
+                key={type.name}
+                className={`flex items-center gap-3 py-2 text-sm ${
+                  type.archived ? "text-gray-400" : "text-gray-700"
+                }`}
+              >
+                <span
+                  className="rounded"
+                  style={{ width: 12, height: 12, backgroundColor: type.color }}
+                />
+                <ShiftTypeIcon type={type.name} colored={!type.archived} />
+                <span className="flex-1">
+                  <span className="font-medium">{typeLabel(type.name)}</span>
+                  {type.archived && (
+                    <span className="ml-2 text-xs bg-gray-100 px-2 py-0.5 rounded">
+                      {t("shiftTypesAdmin.archived")}
+                    </span>
+                  )}
+                  <span className="block text-xs text-gray-500">
+                    {formatTimeRange(
+                      type.default_start_time,
+                      type.default_end_time
+                    )}{" "}
+                    · {formatCurrency(type.default_price)}
+                  </span>
+                </span>
+                {/* Built-in types (no id) only exist until the API has some */}
+                {type.id !== undefined && (
+                  <>
+                    <button
+                      onClick={() => startEdit(type)}
+                      disabled={isSaving}
+                      className="text-xs text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                    >
+                      {t("shiftTypesAdmin.edit")}
+                    </button>
+                    <button
+                      onClick={() => toggleArchived(type)}
+                      disabled={isSaving}
+                      className="text-xs text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                    >
+                      {type.archived
+                        ? t("shiftTypesAdmin.restore")
+                        : t("shiftTypesAdmin.archive")}
+                    </button>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {draft ? (
+            <div className="border border-gray-200 rounded-md p-4 mb-4 space-y-3">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">
+                    {t("shiftTypesAdmin.name")}
+                  </label>
+                  <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => update("name", e.target.value)}
+                    disabled={!isNew}
+                    className={`${inputClass} disabled:bg-gray-100`}
+                  />
+                  {errors.name && (
+                    <p className="text-xs text-red-600 mt-1">
+                      {t(errors.name)}
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">
+                    {t("shiftTypesAdmin.displayName")}
+                  </label>
+                  <input
+                    type="text"
+                    value={draft.display_name}
+                    onChange={(e) => update("display_name", e.target.value)}
+                    placeholder={draft.name}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">
+                    {t("shiftTypesAdmin.color")}
+                  </label>
+                  <input
+                    type="color"
+                    value={draft.color}
+                    onChange={(e) => update("color", e.target.value)}
+                    className="h-8 w-16 border border-gray-300 rounded"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">
+                    {t("shiftTypesAdmin.defaultPrice", {
+                      currency: getCurrencySymbol(),
+                    })}
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={draft.default_price}
+                    onChange={(e) =>
+                      update("default_price", Number(e.target.value))
+                    }
+                    className={inputClass}
+                  />
+                  {errors.default_price && (
+                    <p className="text-xs text-red-600 mt-1">
+                      {t(errors.default_price)}
+                    </p>
+                  )}
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">
+                    {t("shiftTypesAdmin.defaultStart")}
+                  </label>
+                  {timeSelect("default_start_time")}
+                </div>
+                <div>
+                  <label className="block text-xs text-gray-600 mb-1">
+                    {t("shiftTypesAdmin.defaultEnd")}
+                  </label>
+                  {timeSelect("default_end_time")}
+                </div>
+              </div>
+
+              <div>
+                <p className="block text-xs text-gray-600 mb-1">
+                  {t("shiftTypesAdmin.icon")}
+                </p>
+                <div className="flex flex-wrap gap-1">
+                  {shiftTypeIconNames.map((icon) => (
+                    <button
+                      key={icon}
+                      type="button"
+                      onClick={() => update("icon", icon)}
+                      title={icon}
+                      className={`p-2 rounded border ${
+                        draft.icon === icon
+                          ? "border-gray-700 bg-gray-100"
+                          : "border-gray-200 hover:bg-gray-50"
+                      }`}
+                      style={{ color: draft.color }}
+                    >
+                      <ShiftTypeIcon icon={icon} />
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {saveError && <p className="text-sm text-red-600">{saveError}</p>}
+
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setDraft(null)}
+                  disabled={isSaving}
+                  className="flex-1 border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                >
+                  {t("common.cancel")}
+                </button>
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving}
+                  className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800 disabled:opacity-50"
+                >
+                  {t("common.save")}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <div className="flex gap-3">
+              <button
+                onClick={() => startEdit(null)}
+                className="flex-1 border border-gray-300 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-50 flex items-center justify-center gap-2"
+              >
+                <Plus className="w-4 h-4" />
+                {t("shiftTypesAdmin.new")}
+              </button>
+              <button
+                onClick={onClose}
+                className="flex-1 bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800"
+              >
+                {t("common.close")}
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ShiftTypesDialog;
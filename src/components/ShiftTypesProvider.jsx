@@ -0,0 +1,105 @@
+import React, { useState, useCallback, useEffect, useMemo } from "react";
+import { ShiftTypesContext } from "../hooks/useShiftTypes";
+import {
+  shiftTypeApi,
+  normalizeShiftType,
+  buildShiftTypePayload,
+} from "../api/shiftTypeClient";
+import { getShiftTypes, setShiftTypes } from "../utils/shiftTypes";
+
+const STORAGE_KEY = "swift-management.shift-types";
+
+// The list loaded last, so types keep their names and colours offline
+const loadCachedTypes = () => {
+  try {
+    return (JSON.parse(localStorage.getItem(STORAGE_KEY)) || []).map(
+      normalizeShiftType
+    );
+  } catch {
+    return [];
+  }
+};
+
+// Loads the managed shift types and keeps the shared list in utils/shiftTypes
+// up to date. Until the first load (or when it fails) the cached list is used,
+// else the built-in types.
+const ShiftTypesProvider = ({ children }) => {
+  const [shiftTypes, setShiftTypesState] = useState(() => {
+    setShiftTypes(loadCachedTypes());
+    return getShiftTypes();
+  });
+  const [isLoading, setIsLoading] = useState(true);
+  const [loadError, setLoadError] = useState(null);
+
+  const reload = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const types = await shiftTypeApi.list();
+      setShiftTypes(types);
+      setShiftTypesState(getShiftTypes());
+      setLoadError(null);
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(types));
+      } catch (error) {
+        console.warn("Could not store the shift types:", error);
+      }
+    } catch (error) {
+      console.warn("Failed to fetch shift types:", error);
+      setLoadError(error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  // Changes go to the API; the list is reloaded afterwards. Errors are left
+  // to the caller.
+  const saveShiftType = useCallback(
+    async (type) => {
+      const payload = buildShiftTypePayload(type);
+      if (type.id !== undefined && type.id !== null) {
+        await shiftTypeApi.update(type.id, payload);
+      } else {
+        await shiftTypeApi.create(payload);
+      }
+      await reload();
+    },
+    [reload]
+  );
+
+  const setShiftTypeArchived = useCallback(
+    (type, archived) => saveShiftType({ ...type, archived }),
+    [saveShiftType]
+  );
+
+  const value = useMemo(
+    () => ({
+      shiftTypes,
+      activeShiftTypes: shiftTypes.filter((type) => !type.archived),
+      isLoading,
+      loadError,
+      reload,
+      saveShiftType,
+      setShiftTypeArchived,
+    }),
+    [
+      shiftTypes,
+      isLoading,
+      loadError,
+      reload,
+      saveShiftType,
+      setShiftTypeArchived,
+    ]
+  );
+
+  return (
+    <ShiftTypesContext.Provider value={value}>
+      {children}
+    </ShiftTypesContext.Provider>
+  );
+};
+
+export default ShiftTypesProvider;
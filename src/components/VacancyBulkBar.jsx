@@ -0,0 +1,89 @@
+import React from "react";
+import {
+  Trash2,
+  Copy,
+  CalendarClock,
+  Download,
+  CalendarArrowDown,
+} from "lucide-react";
+import useI18n from "../hooks/useI18n";
+
+const buttonClass =
+  "border border-gray-300 text-gray-700 px-2 py-1 rounded hover:bg-gray-50 disabled:opacity-50 flex items-center gap-1";
+
+// Selection helpers and bulk actions for the vacancy list. `vacancies` are the
+// selectable vacancies matching the current filter.
+// `onRun("delete" | "duplicate" | "move")` opens the bulk dialog,
+// `onExport("csv" | "ics")` exports the selection.
+const VacancyBulkBar = ({
+  vacancies,
+  selectedIds,
+  onSelect,
+  onRun,
+  onExport,
+}) => {
+  const { t } = useI18n();
+  const allSelected =
+    vacancies.length > 0 && selectedIds.length === vacancies.length;
+  const none = selectedIds.length === 0;
+
+  return (
+    <div className="border border-gray-200 rounded-md p-3 mb-4 flex flex-wrap items-center gap-2 text-sm">
+      <label className="flex items-center gap-1 text-gray-700">
+        <input
+          type="checkbox"
+          checked={allSelected}
+          onChange={() =>
+            onSelect(allSelected ? [] : vacancies.map((vacancy) => vacancy.id))
+          }
+        />
+        {t("bulkVacancies.selectAll", { count: vacancies.length })}
+      </label>
+      <span className="text-gray-500">
+        {t("bulkVacancies.selectedCount", { count: selectedIds.length })}
+      </span>
+      <div className="ml-auto flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => onExport("csv")}
+          disabled={none}
+          className={buttonClass}
+          title={t("bulkVacancies.exportCsv")}
+        >
+          <Download className="w-4 h-4" /> CSV
+        </button>
+        <button
+          onClick={() => onExport("ics")}
+          disabled={none}
+          className={buttonClass}
+          title={t("bulkVacancies.exportIcs")}
+        >
+          <CalendarArrowDown className="w-4 h-4" /> ICS
+        </button>
+        <button
+          onClick={() => onRun("duplicate")}
+          disabled={none}
+          className={buttonClass}
+        >
+          <Copy className="w-4 h-4" /> {t("bulkVacancies.duplicate.button")}
+        </button>
+        <button
+          onClick={() => onRun("move")}
+          disabled={none}
+          className={buttonClass}
+          title={t("bulkVacancies.move.hint")}
+        >
+          <CalendarClock className="w-4 h-4" /> {t("bulkVacancies.move.button")}
+        </button>
+        <button
+          onClick={() => onRun("delete")}
+          disabled={none}
+          className="border border-red-300 text-red-600 px-2 py-1 rounded hover:bg-red-50 disabled:opacity-50 flex items-center gap-1"
+        >
+          <Trash2 className="w-4 h-4" /> {t("bulkVacancies.delete.button")}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default VacancyBulkBar;
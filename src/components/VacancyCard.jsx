@@ -0,0 +1,212 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import {
+  Clock,
+  Edit,
+  Copy,
+  CalendarArrowDown,
+  AlertTriangle,
+} from "lucide-react";
+import {
+  isOvernight,
+  getShiftDurationMinutes,
+  getShiftEndDate,
+  formatDuration,
+} from "../utils/shifts";
+import { isPastShift, sortSwifts } from "../utils/sorting";
+import { formatDate, formatTimeRange, formatCurrency } from "../utils/format";
+import useI18n from "../hooks/useI18n";
+import ShiftTypeIcon from "./ShiftTypeIcon";
+
+// `clashes`: swifts of other vacancies this one double-books
+const SwiftRow = ({ swift, isPast, clashes, overlapPolicy }) => {
+  const { t, typeLabel } = useI18n();
+  return (
+    <div
+      className={`bg-gray-700 text-white p-3 rounded-md flex items-center justify-between ${
+        isPast ? "opacity-50" : ""
+      } ${
+        clashes
+          ? overlapPolicy === "block"
+            ? "ring-2 ring-red-500"
+            : "ring-2 ring-yellow-400"
+          : ""
+      }`}
+    >
+      <div className="flex items-center gap-4 text-sm">
+        <span className="min-w-32 font-bold">
+          {formatDate(swift.date, { weekday: true })}
+        </span>
+        <span className="flex items-center gap-1">
+          <Clock className="w-4 h-4" />
+          {formatTimeRange(swift.start_time, swift.end_time)}
+          {isOvernight(swift.start_time, swift.end_time) && (
+            <span
+              className="text-xs font-semibold"
+              title={t("vacancyCard.endsOn", {
+                date: formatDate(
+                  getShiftEndDate(swift.date, swift.start_time, swift.end_time)
+                ),
+              })}
+            >
+              {t("vacancyCard.nextDay")}
+            </span>
+          )}
+          <span className="text-xs">
+            ·{" "}
+            {formatDuration(
+              getShiftDurationMinutes(swift.start_time, swift.end_time)
+            )}
+          </span>
+        </span>
+        <span className="bg-gray-600 px-2 py-1 rounded text-xs flex items-center gap-1">
+          <ShiftTypeIcon type={swift.type} className="w-3 h-3" />
+          {typeLabel(swift.type)}
+        </span>
+        {clashes && (
+          <span
+            className={`flex items-center gap-1 text-xs ${
+              overlapPolicy === "block" ? "text-red-300" : "text-yellow-300"
+            }`}
+            title={clashes
+              .map(
+                ({ vacancy, swift: other }) =>
+                  `${vacancy.title} (ID: ${vacancy.id}) ${formatDate(other.date)} ${formatTimeRange(other.start_time, other.end_time)}`
+              )
+              .join("\n")}
+          >
+            <AlertTriangle className="w-4 h-4" />
+            {t("vacancyCard.doubleBooked")}
+          </span>
+        )}
+      </div>
+      <span className="font-semibold">{formatCurrency(swift.price)}</span>
+    </div>
+  );
+};
+
+// One vacancy in the list with its shifts (`swifts`) in chronological order.
+// pastShiftMode: "show" | "separate" | "hide"
+// doubleBookings: Map of swift -> clashing swifts (see findDoubleBookings)
+// Without `onToggleSelect` there is no selection checkbox (detail page).
+// Vacancies still waiting to sync can't be selected for bulk actions.
+const VacancyCard = ({
+  vacancy,
+  pastShiftMode,
+  todayISO,
+  doubleBookings,
+  overlapPolicy,
+  isSelected,
+  onToggleSelect,
+  onEdit,
+  onDuplicate,
+  onExportIcs,
+}) => {
+  const { t } = useI18n();
+  const swifts = sortSwifts(vacancy.swifts || []);
+  const upcoming = swifts.filter((swift) => !isPastShift(swift, todayISO));
+  const past = swifts.filter((swift) => isPastShift(swift, todayISO));
+
+  return (
+    <div className="mb-6 border border-gray-200 rounded-lg p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-semibold text-gray-800 flex items-center gap-2">
+          {onToggleSelect && (
+            <input
+              type="checkbox"
+              checked={isSelected}
+              onChange={() => onToggleSelect(vacancy.id)}
+              disabled={vacancy.pendingSync}
+              title={
+                vacancy.pendingSync
+                  ? t("vacancyCard.selectPending")
+                  : t("vacancyCard.select")
+              }
+            />
+          )}
+          <Link to={`/vacancies/${vacancy.id}`} className="hover:underline">
+            {vacancy.pendingSync
+              ? vacancy.title
+              : `${vacancy.title} (ID: ${vacancy.id})`}
+          </Link>
+          {vacancy.pendingSync && (
+            <span className="bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded text-xs font-medium">
+              {t("vacancyCard.pendingSync")}
+            </span>
+          )}
+        </h3>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onExportIcs(vacancy)}
+            className="text-gray-500 hover:text-gray-700"
+            title={t("vacancyCard.exportIcs")}
+          >
+            <CalendarArrowDown className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => onDuplicate(vacancy)}
+            className="text-gray-500 hover:text-gray-700"
+            title={t("vacancyCard.duplicate")}
+          >
+            <Copy className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => onEdit(vacancy)}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            <Edit className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+      <p className="flex items-center space-x-2 text-sm text-gray-500 mb-2">
+        {vacancy.description}
+      </p>
+      <div className="flex items-center space-x-2 text-sm">
+        <h1>
+          <p className="font-medium text-gray-600">{t("vacancyCard.dates")}</p>
+        </h1>
+      </div>
+
+      <div className="mb-3">
+        <div className="space-y-2">
+          {pastShiftMode === "show"
+            ? swifts.map((swift, index) => (
+                <SwiftRow
+                  key={index}
+                  swift={swift}
+                  isPast={isPastShift(swift, todayISO)}
+                  clashes={doubleBookings.get(swift)}
+                  overlapPolicy={overlapPolicy}
+                />
+              ))
+            : upcoming.map((swift, index) => (
+                <SwiftRow
+                  key={index}
+                  swift={swift}
+                  clashes={doubleBookings.get(swift)}
+                  overlapPolicy={overlapPolicy}
+                />
+              ))}
+          {pastShiftMode === "separate" && past.length > 0 && (
+            <>
+              <p className="text-xs font-medium text-gray-500 pt-2">
+                {t("vacancyCard.pastShifts", { count: past.length })}
+              </p>
+              {past.map((swift, index) => (
+                <SwiftRow
+                  key={`past-${index}`}
+                  swift={swift}
+                  isPast
+                  clashes={doubleBookings.get(swift)}
+                  overlapPolicy={overlapPolicy}
+                />
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VacancyCard;
@@ -0,0 +1,18 @@
+import { createContext, useContext } from "react";
+
+// Provided by AuthProvider:
+// - session: { accessToken, refreshToken, expiresAt, user } or null
+// - user: `{ name }` as given by the auth endpoint, or null
+// - isExpired: the session ended on a 401 (rather than by logging out)
+// - login(username, password) -> Promise, logout() -> Promise: see api/auth
+export const AuthContext = createContext(null);
+
+const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error("useAuth must be used inside AuthProvider");
+  }
+  return context;
+};
+
+export default useAuth;
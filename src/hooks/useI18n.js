@@ -0,0 +1,19 @@
+import { createContext, useContext } from "react";
+
+// Provided by I18nProvider:
+// - language: current language code ("en", "nl", "fr")
+// - setLanguage(code)
+// - t(key, params), typeLabel(type): see i18n/index.js
+// Components read `t` from here (rather than importing it) so they re-render
+// when the language changes.
+export const I18nContext = createContext(null);
+
+const useI18n = () => {
+  const context = useContext(I18nContext);
+  if (!context) {
+    throw new Error("useI18n must be used inside I18nProvider");
+  }
+  return context;
+};
+
+export default useI18n;
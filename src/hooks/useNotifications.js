@@ -0,0 +1,21 @@
+import { createContext, useContext } from "react";
+
+// Provided by NotificationProvider:
+// - notify({ type, message, details, action, duration }) -> toast id
+//   type: "success" | "error" | "info"; action: { label, onClick };
+//   duration in ms, 0 keeps the toast until it is dismissed
+// - dismiss(id)
+// - confirm({ title, message, confirmLabel, danger }) -> Promise<boolean>
+export const NotificationContext = createContext(null);
+
+const useNotifications = () => {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error(
+      "useNotifications must be used inside NotificationProvider"
+    );
+  }
+  return context;
+};
+
+export default useNotifications;
@@ -0,0 +1,230 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import { vacancyApi } from "../api/vacancyClient";
+import {
+  NetworkError,
+  HttpError,
+  UnauthorizedError,
+  describeApiError,
+} from "../api/errors";
+import {
+  getQueuedMutations,
+  addQueuedMutation,
+  putQueuedMutation,
+  removeQueuedMutation,
+} from "../api/offlineStore";
+
+// Vacancies created while offline get a temporary id until they are synced.
+const OFFLINE_ID_PREFIX = "offline-";
+
+let offlineIdCounter = 0;
+
+// Unique even for creates queued in the same millisecond, which would
+// otherwise be folded into one queued change.
+export const createOfflineId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? `${OFFLINE_ID_PREFIX}${crypto.randomUUID()}`
+    : `${OFFLINE_ID_PREFIX}${Date.now()}-${++offlineIdCounter}`;
+
+export const isOfflineId = (id) =>
+  typeof id === "string" && id.startsWith(OFFLINE_ID_PREFIX);
+
+// Overlays the queued changes on a list of vacancies so offline edits are
+// visible right away. Queued vacancies are marked with `pendingSync`.
+export const applyPendingMutations = (vacancies, mutations) =>
+  mutations
+    .filter((m) => m.status === "pending")
+    .reduce((list, m) => {
+      if (m.action === "delete") {
+        return list.filter((v) => v.id !== m.vacancyId);
+      }
+      const vacancy = { ...m.vacancy, pendingSync: true };
+      return m.action === "update"
+        ? list.map((v) => (v.id === m.vacancyId ? vacancy : v))
+        : [vacancy, ...list];
+    }, vacancies);
+
+// Server errors, lost connections and an expired session are transient: the
+// mutation stays queued. Anything else (4xx) means the server rejected the
+// change.
+const isTransient = (error) =>
+  error instanceof NetworkError ||
+  error instanceof UnauthorizedError ||
+  (error instanceof HttpError && error.status >= 500);
+
+// Queue of creates/updates/deletes made while the backend was unreachable.
+// The queue lives in IndexedDB and is replayed, in order, when the browser
+// comes back online. Rejected changes stay listed until retried or discarded.
+const useOfflineQueue = ({ onSynced }) => {
+  const [mutations, setMutations] = useState([]);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const isSyncingRef = useRef(false);
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+
+  const refresh = useCallback(async () => {
+    const stored = await getQueuedMutations().catch(() => []);
+    setMutations(stored);
+    return stored;
+  }, []);
+
+  // Adds a change to the queue. Changes to a vacancy that is itself still
+  // queued are folded into the queued entry instead of being appended.
+  const enqueue = useCallback(
+    async ({ action, vacancyId, payload, vacancy }) => {
+      const queued = (await getQueuedMutations()).filter(
+        (m) => m.status === "pending"
+      );
+      const existing = queued.find(
+        (m) =>
+          (m.action === "create" && m.vacancy.id === vacancyId) ||
+          (m.action === "update" && m.vacancyId === vacancyId)
+      );
+
+      if (existing && action === "update") {
+        await putQueuedMutation({ ...existing, payload, vacancy });
+      } else if (existing && action === "delete") {
+        await removeQueuedMutation(existing.id);
+        // A vacancy that never reached the server needs no DELETE
+        if (existing.action === "update") {
+          await addQueuedMutation(newEntry({ action, vacancyId, vacancy }));
+        }
+      } else {
+        await addQueuedMutation(
+          newEntry({ action, vacancyId, payload, vacancy })
+        );
+      }
+      await refresh();
+    },
+    [refresh]
+  );
+
+  // Never rejects, so it can be fired without waiting for it
+  const replay = useCallback(async () => {
+    if (isSyncingRef.current || !navigator.onLine) return;
+    isSyncingRef.current = true;
+    setIsSyncing(true);
+
+    const synced = [];
+    try {
+      const pending = (await getQueuedMutations())
+        .filter((m) => m.status === "pending")
+        .sort((a, b) => a.id - b.id);
+
+      for (const mutation of pending) {
+        try {
+          await sendMutation(mutation);
+          await removeQueuedMutation(mutation.id);
+          synced.push(mutation);
+        } catch (error) {
+          if (isTransient(error)) break; // Try again on the next replay
+          console.error("Queued change rejected:", error);
+          await putQueuedMutation({
+            ...mutation,
+            status: "rejected",
+            // Include per-field messages of a 422 so the user knows what to fix
+            error: [
+              describeApiError(error),
+              ...Object.values(error.fieldErrors || {}),
+            ].join(" "),
+            details: error instanceof HttpError ? error.body : "",
+          });
+        }
+      }
+    } catch (error) {
+      // IndexedDB unavailable: nothing can be replayed
+      console.error("Could not replay the offline queue:", error);
+    } finally {
+      isSyncingRef.current = false;
+      setIsSyncing(false);
+      await refresh();
+    }
+    if (synced.length) onSyncedRef.current(synced);
+  }, [refresh]);
+
+  // Sends a rejected change again.
+  const retry = useCallback(
+    async (id) => {
+      try {
+        const mutation = (await getQueuedMutations()).find((m) => m.id === id);
+        if (!mutation) return;
+        await putQueuedMutation({
+          ...mutation,
+          status: "pending",
+          error: null,
+        });
+      } catch (error) {
+        console.error("Could not retry the queued change:", error);
+        return;
+      }
+      await refresh();
+      await replay();
+    },
+    [refresh, replay]
+  );
+
+  const discard = useCallback(
+    async (id) => {
+      await removeQueuedMutation(id).catch((error) =>
+        console.error("Could not discard the queued change:", error)
+      );
+      await refresh();
+    },
+    [refresh]
+  );
+
+  // Load the persisted queue and replay it whenever the connection returns
+  useEffect(() => {
+    refresh().then((stored) => {
+      if (stored.some((m) => m.status === "pending")) replay();
+    });
+
+    const handleOnline = () => {
+      setIsOnline(true);
+      replay();
+    };
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+  }, [refresh, replay]);
+
+  return {
+    mutations,
+    pending: mutations.filter((m) => m.status === "pending"),
+    rejected: mutations.filter((m) => m.status === "rejected"),
+    isOnline,
+    isSyncing,
+    enqueue,
+    replay,
+    retry,
+    discard,
+  };
+};
+
+const newEntry = ({ action, vacancyId, payload = null, vacancy = null }) => ({
+  action,
+  vacancyId,
+  payload,
+  vacancy,
+  status: "pending",
+  error: null,
+  queuedAt: new Date().toISOString(),
+});
+
+const sendMutation = async ({ action, vacancyId, payload }) => {
+  if (action === "create") return vacancyApi.create(payload);
+  if (action === "update") return vacancyApi.update(vacancyId, payload);
+  try {
+    return await vacancyApi.remove(vacancyId);
+  } catch (error) {
+    // Already gone on the server: nothing left to do
+    if (error instanceof HttpError && error.status === 404) return null;
+    throw error;
+  }
+};
+
+export default useOfflineQueue;
@@ -0,0 +1,38 @@
+import { useState, useCallback } from "react";
+import { defaultPricingRules } from "../utils/pricing";
+
+const STORAGE_KEY = "swift-management.pricing-rules";
+
+const loadRules = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    // Merge so rules saved before a setting existed stay valid
+    return stored
+      ? {
+          ...defaultPricingRules,
+          ...stored,
+          rates: { ...defaultPricingRules.rates, ...stored.rates },
+        }
+      : defaultPricingRules;
+  } catch {
+    return defaultPricingRules;
+  }
+};
+
+// Pricing rules configured in this browser (kept in localStorage).
+const usePricingRules = () => {
+  const [rules, setRules] = useState(loadRules);
+
+  const saveRules = useCallback((newRules) => {
+    setRules(newRules);
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(newRules));
+    } catch (error) {
+      console.warn("Could not store the pricing rules:", error);
+    }
+  }, []);
+
+  return [rules, saveRules];
+};
+
+export default usePricingRules;
@@ -0,0 +1,20 @@
+import { createContext, useContext } from "react";
+
+// Provided by ShiftTypesProvider:
+// - shiftTypes: every type, archived ones included (see utils/shiftTypes)
+// - activeShiftTypes: the types new shifts can be given
+// - isLoading, loadError: state of the last load from the API
+// - reload()
+// - saveShiftType(type) -> Promise: creates (no `id`) or updates a type
+// - setShiftTypeArchived(type, archived) -> Promise
+export const ShiftTypesContext = createContext(null);
+
+const useShiftTypes = () => {
+  const context = useContext(ShiftTypesContext);
+  if (!context) {
+    throw new Error("useShiftTypes must be used inside ShiftTypesProvider");
+  }
+  return context;
+};
+
+export default useShiftTypes;
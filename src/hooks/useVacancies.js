@@ -0,0 +1,221 @@
+import { useState, useEffect, useCallback, useRef } from "react";
+import {
+  vacancyApi,
+  API_PAGINATION,
+  API_PAGE_SIZE,
+  normalizeVacancy,
+} from "../api/vacancyClient";
+import { NetworkError } from "../api/errors";
+import { getCachedVacancies, saveCachedVacancies } from "../api/offlineStore";
+import { filtersToApiParams } from "../utils/filters";
+
+const emptyList = { items: [], nextPage: null, total: null };
+
+const hasVacancy = (entry, id) => entry.items.some((v) => v.id === id);
+
+const withTotal = (entry, change) =>
+  entry.total === null ? entry : { ...entry, total: entry.total + change };
+
+// Loads vacancies from the API.
+//
+// - Default mode: the whole dataset is fetched once and filtered client-side.
+// - Paging mode (VITE_API_PAGINATION=true): filters and sort are sent to the
+//   API and results are loaded page by page. Loaded pages are cached per
+//   query, so switching back to a previous filter doesn't hit the network.
+//
+// Mutations patch the loaded data (and the cached queries holding the affected
+// vacancy) instead of re-fetching the list. In paging mode only the server
+// knows which queries a new vacancy belongs in, so the others are dropped.
+//
+// The last fetched list is persisted in IndexedDB. When the backend can't be
+// reached that copy is shown instead and `staleSince` tells when it was saved.
+const useVacancies = ({ filters, sort, paged = API_PAGINATION }) => {
+  // { items, nextPage, total } for the current query
+  const [list, setList] = useState(emptyList);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [staleSince, setStaleSince] = useState(null);
+
+  // query key -> { items, nextPage, total }
+  const cacheRef = useRef(new Map());
+  const queryKey = paged
+    ? JSON.stringify({ ...filtersToApiParams(filters), sort })
+    : "all";
+  const queryKeyRef = useRef(queryKey);
+  queryKeyRef.current = queryKey;
+
+  const fetchPage = useCallback(
+    async (page) => {
+      if (!paged) {
+        const items = await vacancyApi.list();
+        return { items, nextPage: null, total: items.length };
+      }
+      // The query key doubles as the (stable) set of query parameters
+      return vacancyApi.listPage({
+        ...JSON.parse(queryKey),
+        per_page: API_PAGE_SIZE,
+        ...page,
+      });
+    },
+    [paged, queryKey]
+  );
+
+  const loadFirstPage = useCallback(
+    async ({ useCache = true } = {}) => {
+      const cached = cacheRef.current.get(queryKey);
+      if (useCache && cached) {
+        setList(cached);
+        setIsLoading(false);
+        return;
+      }
+
+      setIsLoading(true);
+      setError(null);
+      try {
+        const result = await fetchPage({ page: 1 });
+        cacheRef.current.set(queryKey, result);
+        // Ignore responses for a query that is no longer current
+        if (queryKeyRef.current === queryKey) {
+          setList(result);
+          setStaleSince(null);
+        }
+        saveCachedVacancies(result.items).catch((err) =>
+          console.warn("Could not persist vacancies for offline use:", err)
+        );
+      } catch (err) {
+        console.error("Failed to fetch vacancies:", err);
+        // Unreachable backend: fall back to the persisted copy
+        const offlineCopy =
+          err instanceof NetworkError
+            ? await getCachedVacancies().catch(() => null)
+            : null;
+        if (queryKeyRef.current === queryKey) {
+          if (offlineCopy) {
+            // Copies saved by older versions may predate normalisation
+            setList({
+              ...emptyList,
+              items: offlineCopy.vacancies.map(normalizeVacancy),
+            });
+            setStaleSince(offlineCopy.cachedAt);
+          } else {
+            setList(emptyList);
+            setError(err);
+          }
+        }
+      } finally {
+        if (queryKeyRef.current === queryKey) setIsLoading(false);
+      }
+    },
+    [queryKey, fetchPage]
+  );
+
+  useEffect(() => {
+    loadFirstPage();
+  }, [loadFirstPage]);
+
+  const { nextPage } = list;
+  const loadMore = useCallback(async () => {
+    if (!nextPage || isLoadingMore) return;
+    setIsLoadingMore(true);
+    try {
+      const result = await fetchPage(nextPage);
+      const cached = cacheRef.current.get(queryKey) || { items: [] };
+      const entry = {
+        items: [...cached.items, ...result.items],
+        nextPage: result.nextPage,
+        total: result.total,
+      };
+      cacheRef.current.set(queryKey, entry);
+      if (queryKeyRef.current === queryKey) setList(entry);
+    } catch (err) {
+      console.error("Failed to fetch more vacancies:", err);
+      setError(err);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [nextPage, isLoadingMore, fetchPage, queryKey]);
+
+  // Drops every cached query and reloads the current one.
+  const reload = useCallback(() => {
+    cacheRef.current.clear();
+    return loadFirstPage({ useCache: false });
+  }, [loadFirstPage]);
+
+  // Applies `update(entry)` to the visible list and to every cached query.
+  const patchAll = useCallback((update) => {
+    cacheRef.current.forEach((entry, key) => {
+      cacheRef.current.set(key, update(entry));
+    });
+    setList(update);
+  }, []);
+
+  // Re-fetches a single vacancy after it was created or updated.
+  const refreshVacancy = useCallback(
+    async (id) => {
+      const fresh = await vacancyApi.get(id);
+      const update = (entry) =>
+        hasVacancy(entry, id)
+          ? {
+              ...entry,
+              items: entry.items.map((v) => (v.id === id ? fresh : v)),
+            }
+          : null;
+
+      // The whole dataset is loaded: a new vacancy simply joins it
+      if (!paged) {
+        patchAll(
+          (entry) =>
+            update(entry) ??
+            withTotal({ ...entry, items: [fresh, ...entry.items] }, 1)
+        );
+        return fresh;
+      }
+
+      [...cacheRef.current].forEach(([key, entry]) => {
+        if (hasVacancy(entry, id)) {
+          cacheRef.current.set(key, update(entry));
+        } else {
+          cacheRef.current.delete(key);
+        }
+      });
+      if (cacheRef.current.has(queryKey)) {
+        setList(cacheRef.current.get(queryKey));
+      } else {
+        await loadFirstPage({ useCache: false });
+      }
+      return fresh;
+    },
+    [paged, queryKey, patchAll, loadFirstPage]
+  );
+
+  const removeVacancy = useCallback(
+    (id) => {
+      patchAll((entry) =>
+        hasVacancy(entry, id)
+          ? withTotal(
+              { ...entry, items: entry.items.filter((v) => v.id !== id) },
+              -1
+            )
+          : entry
+      );
+    },
+    [patchAll]
+  );
+
+  return {
+    vacancies: list.items,
+    isLoading,
+    isLoadingMore,
+    hasMore: Boolean(nextPage),
+    total: list.total,
+    error,
+    staleSince,
+    loadMore,
+    reload,
+    refreshVacancy,
+    removeVacancy,
+  };
+};
+
+export default useVacancies;
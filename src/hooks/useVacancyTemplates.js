@@ -0,0 +1,45 @@
+import { useState, useCallback } from "react";
+
+const STORAGE_KEY = "swift-management.vacancy-templates";
+
+const loadTemplates = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+// Vacancy templates saved in this browser (kept in localStorage).
+const useVacancyTemplates = () => {
+  const [templates, setTemplates] = useState(loadTemplates);
+
+  const store = useCallback((update) => {
+    setTemplates((prev) => {
+      const next = update(prev);
+      try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+      } catch (error) {
+        console.warn("Could not store the vacancy templates:", error);
+      }
+      return next;
+    });
+  }, []);
+
+  const saveTemplate = useCallback(
+    (template) =>
+      store((prev) =>
+        [...prev, template].sort((a, b) => a.name.localeCompare(b.name))
+      ),
+    [store]
+  );
+
+  const deleteTemplate = useCallback(
+    (id) => store((prev) => prev.filter((template) => template.id !== id)),
+    [store]
+  );
+
+  return { templates, saveTemplate, deleteTemplate };
+};
+
+export default useVacancyTemplates;
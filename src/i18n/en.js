@@ -0,0 +1,504 @@
+// English messages (also the fallback for missing translations). Plural
+// messages are keyed by Intl.PluralRules category and use `{count}`.
+
+const en = {
+  common: {
+    cancel: "CANCEL",
+    close: "CLOSE",
+    ok: "OK",
+    save: "SAVE",
+    delete: "DELETE",
+    retry: "RETRY",
+    undo: "UNDO",
+    language: "Language",
+    dismiss: "Dismiss",
+    details: "Details",
+    hideDetails: "Hide details",
+    shiftCount: { one: "{count} shift", other: "{count} shifts" },
+    duration: "{hours}h",
+    durationMinutes: "{hours}h {minutes}m",
+  },
+
+  // Built-in shift types, unless renamed in the shift types screen
+  shiftTypes: {
+    Consultation: "Consultation",
+    Telephone: "Telephone",
+    Ambulance: "Ambulance",
+    Emergency: "Emergency",
+  },
+
+  shift: {
+    startTime: "Start Time",
+    endTime: "End Time",
+    type: "Type",
+    priceLabel: "Price",
+    price: "Price ({currency})",
+  },
+
+  validation: {
+    titleRequired: "Title is required.",
+    descriptionRequired: "Description is required.",
+    shiftsRequired: "At least one date/shift is required.",
+    pricePositive: "Price must be > 0.",
+    zeroLength: "End time must differ from start time.",
+    overlap: "Overlaps with the {time} {type} shift on {date}.",
+  },
+
+  apiErrors: {
+    timeout: "The server took too long to respond.",
+    network: "Could not connect to the server.",
+    conflict: "Someone else changed this vacancy in the meantime.",
+    validation: "The server rejected some of the values.",
+    http: "The server rejected the request ({status}).",
+    envelope: "The server sent an unexpected response.",
+    unauthorized: "Your session has expired. Sign in again.",
+  },
+
+  auth: {
+    title: "Sign in",
+    username: "Username",
+    password: "Password",
+    submit: "SIGN IN",
+    signingIn: "SIGNING IN...",
+    failed: "Wrong username or password.",
+    expired:
+      "Your session has expired. Sign in again to continue; nothing you were editing is lost.",
+    signedInAs: "Signed in as {name}",
+    logout: "LOG OUT",
+    logoutConfirm: {
+      title: "Log out?",
+      message: {
+        one: "{count} change hasn't been synced yet and will be lost.",
+        other: "{count} changes haven't been synced yet and will be lost.",
+      },
+    },
+  },
+
+  vacancies: {
+    title: "Vacancies",
+    all: "All vacancies",
+    add: "ADD VACANCY",
+    sortHint: "Sort vacancies",
+    pastShiftsHint: "Past shifts",
+    views: {
+      list: "List view",
+      calendar: "Calendar view",
+      dashboard: "Dashboard",
+    },
+    exportCsv: "Export shown vacancies as CSV",
+    exportIcs: "Export shown shifts to calendar (.ics)",
+    calendarName: "Vacancy shifts",
+    calendarType: "Type: {type}",
+    calendarPrice: "Price: {price}",
+    loading: "Loading vacancies...",
+    loadingOne: "Loading vacancy...",
+    loadingMore: "Loading...",
+    loadMore: "LOAD MORE",
+    loadMoreOf: "LOAD MORE ({loaded} of {total})",
+    empty: "No vacancies found matching the current filters or with no shifts.",
+    connectFailed:
+      "Failed to connect to API. Please ensure the backend is running at {url}",
+    loadFailed: "Failed to load vacancies: {error}",
+    loadOneFailed: "Vacancy {id} could not be loaded: {error}",
+  },
+
+  offline: {
+    storageFailed:
+      "the server can't be reached and this browser can't keep the change for later.",
+    offline: "You are offline.",
+    unreachable: "The server can't be reached.",
+    online: "Back online.",
+    stale: "Showing vacancies saved on {time}.",
+    pending: {
+      one: "{count} change waiting to sync.",
+      other: "{count} changes waiting to sync.",
+    },
+    syncing: "SYNCING...",
+    discard: "DISCARD",
+    rejected: {
+      one: "{count} offline change could not be synced",
+      other: "{count} offline changes could not be synced",
+    },
+    rejectedChange: '{action} "{title}" (queued {time}): {error}',
+    actions: { create: "Create", update: "Edit", delete: "Delete" },
+  },
+
+  filters: {
+    title: "Filters",
+    clearAll: "Clear all",
+    searchPlaceholder: "Search vacancy title or description",
+    shiftType: "Shift Type",
+    dateRange: "Date Range",
+    dateFrom: "From",
+    dateTo: "To",
+    weekdays: "Weekdays",
+    priceRange: "Price Range:",
+    appliedPrice:
+      "Current Filter Applied: Shifts must have a price between {min} and {max} (updates 500ms after input stops).",
+  },
+
+  sort: {
+    upcoming: "Earliest upcoming shift",
+    price_desc: "Highest price",
+    price_asc: "Lowest price",
+    value_desc: "Total value",
+    title: "Title",
+    recent: "Most recently created",
+  },
+
+  pastShifts: {
+    separate: "Separate past shifts",
+    show: "Show past shifts inline",
+    hide: "Hide past shifts",
+  },
+
+  vacancyCard: {
+    select: "Select for bulk actions",
+    selectPending: "Can't be selected until it's synced",
+    pendingSync: "Pending sync",
+    exportIcs: "Export shifts to calendar (.ics)",
+    duplicate: "Duplicate",
+    dates: "Dates",
+    pastShifts: "Past shifts ({count})",
+    endsOn: "Ends on {date}",
+    nextDay: "(+1 day)",
+    doubleBooked: "Double booked",
+  },
+
+  drawer: {
+    createTitle: "Create Vacancy",
+    editTitle: "Edit Vacancy",
+    exportIcs: "Export saved shifts to calendar (.ics)",
+    title: "Title",
+    titlePlaceholder: "Shift Title",
+    description: "Description",
+    descriptionPlaceholder: "Shift Description",
+    addDate: "Add Date for a New Shift",
+    addShift: "Add a Shift on this Date",
+    shiftSettings: "Individual Shift Settings",
+    noShifts: "Use the date picker above to add shifts.",
+    shiftFor: "Shift for: {date}",
+    doubleBookedWith: "Double booking with:",
+    clashingVacancy: "{title} (ID: {id})",
+    duration: "Duration: {duration}",
+    endsNextDay: "Ends next day ({date})",
+    resetPrice: "Use the price from the pricing rules",
+    priceOverridden: "Price set by hand (rules: {price})",
+    fixFields: "Please fix the highlighted fields before saving.",
+    doubleBooked:
+      "Some shifts double-book another vacancy. Change or remove them before saving.",
+    serverRejected:
+      "The server rejected some of the values. Please check the highlighted fields.",
+    queued:
+      "You are offline. The vacancy will be saved when the connection returns.",
+    created: "Vacancy created.",
+    updated: "Vacancy updated.",
+    saveFailed: "Error saving vacancy: {error}",
+    openOther: {
+      title: 'Open "{title}"?',
+      message: "Unsaved changes in the drawer will be lost.",
+      confirm: "OPEN",
+    },
+    deleteConfirm: {
+      title: "Delete vacancy?",
+      message: '"{title}" and all its shifts will be deleted.',
+    },
+    deleted: 'Vacancy "{title}" deleted.',
+    deleteFailed: 'Error deleting vacancy "{title}": {error}',
+  },
+
+  templates: {
+    save: "Save as template",
+    saveButton: "SAVE TEMPLATE",
+    namePlaceholder: "Template name",
+    saved: 'Template "{name}" saved.',
+    deleteTitle: "Delete template?",
+    deleteMessage: 'The template "{name}" will be deleted.',
+  },
+
+  recurring: {
+    open: "Generate Recurring Shifts",
+    title: "Recurring Shifts",
+    repeat: "Repeat",
+    daily: "Daily",
+    weekly: "Weekly",
+    everyDays: "Every (days)",
+    everyWeeks: "Every (weeks)",
+    from: "From",
+    until: "Until",
+    occurrences: "Occurrences",
+    excludedDates: "Excluded Dates",
+    exclude: "Exclude",
+    preview: {
+      one: "Preview: {count} shift",
+      other: "Preview: {count} shifts",
+    },
+    conflicts: {
+      one: "{count} overlaps existing shifts",
+      other: "{count} overlap existing shifts",
+    },
+    conflict: "Conflict",
+    skipConflicts: "Skip conflicting shifts",
+    add: { one: "Add {count} Shift", other: "Add {count} Shifts" },
+  },
+
+  shiftBulk: {
+    all: "All",
+    byWeekday: "By weekday…",
+    byWeekdayHint: "Select the shifts on a weekday",
+    byType: "By type…",
+    byTypeHint: "Select the shifts of a type",
+    selected: "{count} selected",
+    apply: "APPLY",
+    remove: "Remove",
+    removeHint: "Remove the selected shifts",
+    updated: {
+      one: "{action}: {count} shift updated.",
+      other: "{action}: {count} shifts updated.",
+    },
+    problems: {
+      one: "{count} problem to fix in the shifts.",
+      other: "{count} problems to fix in the shifts.",
+    },
+  },
+
+  merge: {
+    title: "Resolve Edit Conflict",
+    intro:
+      "This vacancy was changed by someone else while you were editing it. Choose what to keep; changes only you made are preselected.",
+    keepMine: "KEEP ALL MINE",
+    takeCurrent: "TAKE ALL CURRENT",
+    mine: "Your version",
+    theirs: "Current version",
+    fields: { title: "Title", description: "Description" },
+    shifts: "Shifts",
+    shiftCounts: "({changed} differ, {same} unchanged)",
+    sameShifts: "Both versions have the same shifts.",
+    status: {
+      same: "Unchanged",
+      changed: "Changed on both sides",
+      "mine-only": "Only in your version",
+      "theirs-only": "Only in the current version",
+    },
+    drop: "Drop",
+    confirm: "USE MERGED VERSION",
+    notSaved:
+      "Not saved: this vacancy was changed by someone else. Save again to resolve the conflict.",
+    loadFailed:
+      "This vacancy was changed by someone else, and its current version could not be loaded: {error}",
+    merged: "Merged with the current version. Review the vacancy and save.",
+  },
+
+  calendar: {
+    previous: "Previous",
+    next: "Next",
+    today: "Today",
+    week: "Week",
+    month: "Month",
+  },
+
+  offset: {
+    label: "Move all dates by",
+    days: { one: "day", other: "days" },
+    weeks: { one: "week", other: "weeks" },
+  },
+
+  newVacancy: {
+    title: "New Vacancy",
+    blank: "Blank vacancy",
+    fromTemplate: "From a template",
+    firstShiftOn: "First shift on",
+    deleteTemplate: "Delete template",
+  },
+
+  duplicate: {
+    title: "Duplicate Vacancy",
+    intro: {
+      one: 'A copy of "{title}" with its {count} shift opens in the drawer.',
+      other: 'A copy of "{title}" with its {count} shifts opens in the drawer.',
+    },
+    confirm: "DUPLICATE",
+  },
+
+  bulkVacancies: {
+    selectAll: {
+      one: "Select the {count} matching vacancy",
+      other: "Select all {count} matching vacancies",
+    },
+    selectedCount: "{count} selected",
+    exportCsv: "Export selected vacancies as CSV",
+    exportIcs: "Export selected shifts to calendar (.ics)",
+    selected: {
+      one: "{count} selected vacancy:",
+      other: "{count} selected vacancies:",
+    },
+    cannotUndo: "This can't be undone.",
+    progress: "Working {done} / {total}...",
+    delete: {
+      button: "DELETE",
+      title: "Delete Vacancies",
+      confirm: "DELETE {count}",
+      done: {
+        one: "Deleted {done} of {count} vacancy.",
+        other: "Deleted {done} of {count} vacancies.",
+      },
+    },
+    duplicate: {
+      button: "DUPLICATE",
+      title: "Duplicate Vacancies",
+      confirm: "DUPLICATE {count}",
+      done: {
+        one: "Duplicated {done} of {count} vacancy.",
+        other: "Duplicated {done} of {count} vacancies.",
+      },
+    },
+    move: {
+      button: "MOVE DATES",
+      hint: "Move all shift dates by an offset",
+      title: "Move Shift Dates",
+      confirm: "MOVE {count}",
+      done: {
+        one: "Moved {done} of {count} vacancy.",
+        other: "Moved {done} of {count} vacancies.",
+      },
+    },
+  },
+
+  bulkEdit: {
+    actions: {
+      start_time: "Set start time",
+      end_time: "Set end time",
+      type: "Set type",
+      price: "Set price",
+      price_percent: "Adjust price by %",
+    },
+  },
+
+  pricing: {
+    title: "Pricing Rules",
+    intro:
+      "New shifts are priced with these rules, and re-priced when their time or type changes. Prices entered by hand are kept.",
+    baseRate: "Base rate",
+    flat: "Per shift",
+    hourly: "Per hour",
+    surcharges: "Surcharges",
+    weekend: "Weekend",
+    holiday: "Public holiday",
+    insteadOfWeekend: "(instead of weekend)",
+    night: "Night hours",
+    holidays: "Public holidays",
+    addHoliday: "Add holiday",
+    noHolidays: "No holidays added.",
+    reset: "RESET",
+    breakdown: {
+      hourly: "{type}: {hours}h × {rate}",
+      flat: "{type}: flat rate",
+      holiday: "Public holiday +{percent}%",
+      weekend: "Weekend +{percent}%",
+      night: "Night {time} ({hours}h) +{percent}%",
+    },
+  },
+
+  shiftTypesAdmin: {
+    title: "Shift Types",
+    intro:
+      "New shifts start with the default times and price of their type. Archived types stay on existing shifts but can't be picked for new ones. The built-in types are used until the first type is created.",
+    new: "NEW TYPE",
+    name: "Name",
+    displayName: "Display name",
+    color: "Colour",
+    icon: "Icon",
+    defaultStart: "Default start",
+    defaultEnd: "Default end",
+    defaultPrice: "Default price ({currency})",
+    archived: "Archived",
+    archive: "ARCHIVE",
+    restore: "RESTORE",
+    edit: "EDIT",
+    archivedOption: "{type} (archived)",
+    saved: "Shift type {name} saved.",
+    loadFailed: "Could not load the shift types: {error}",
+    nameRequired: "Enter a name.",
+    nameTaken: "A shift type with this name already exists.",
+    priceInvalid: "Enter a price of 0 or more.",
+  },
+
+  analytics: {
+    periods: { week: "Per week", month: "Per month" },
+    metrics: { hours: "Hours", spend: "Spend" },
+    chartTitle: {
+      hours: "Hours {period}",
+      spend: "Spend {period}",
+    },
+    weekOf: "Week of {date}",
+    empty:
+      "No shifts match the current filters, so there is nothing to analyse.",
+    partial:
+      "These figures only cover the vacancies loaded so far. Load more results to include the rest.",
+    shifts: "Shifts",
+    totalHours: "Total hours",
+    totalSpend: "Total spend",
+    averagePrice: "Average price",
+    vacancies: "Vacancies",
+    vacanciesHint: "{upcoming} with upcoming shifts, {past} past only",
+    export: "EXPORT",
+    exportHint: "Export these figures as CSV",
+    byType: "By shift type",
+    columns: {
+      type: "Type",
+      shifts: "Shifts",
+      hours: "Hours",
+      spend: "Spend",
+      averagePrice: "Avg price",
+    },
+  },
+
+  csvImport: {
+    title: "Import Vacancies from CSV",
+    intro:
+      "One row per shift with columns: {columns}. Rows with a vacancy_id replace that vacancy's shifts; other rows are grouped into new vacancies by title and description.",
+    chooseFile: "Choose a .csv file",
+    summary: {
+      rows: { one: "{count} row", other: "{count} rows" },
+      valid: {
+        one: "{count} valid vacancy",
+        other: "{count} valid vacancies",
+      },
+      invalid: "{count} with errors (skipped)",
+    },
+    columns: {
+      line: "Line",
+      vacancy: "Vacancy",
+      date: "Date",
+      time: "Time",
+      type: "Type",
+      price: "Price",
+      errors: "Errors",
+    },
+    progress: "Importing {done} / {total}...",
+    done: {
+      one: "Imported {done} of {count} vacancy.",
+      other: "Imported {done} of {count} vacancies.",
+    },
+    removesShifts: {
+      one: "#{id} {title}: {count} shift not in the file will be removed.",
+      other: "#{id} {title}: {count} shifts not in the file will be removed.",
+    },
+    failed: "{title} (lines {lines}): {error}",
+    confirm: {
+      one: "IMPORT {count} VACANCY",
+      other: "IMPORT {count} VACANCIES",
+    },
+    errors: {
+      missingColumns: "Missing column(s): {columns}",
+      type: "Type must be one of: {types}.",
+      date: "Invalid date.",
+      startTime: "Invalid start time.",
+      endTime: "Invalid end time.",
+      sameVacancy:
+        "Rows of one vacancy must share the same title and description.",
+    },
+  },
+};
+
+export default en;
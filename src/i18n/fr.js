@@ -0,0 +1,524 @@
+// French messages. Keys missing here fall back to English. French uses "one"
+// for 0 and 1.
+
+const fr = {
+  common: {
+    cancel: "ANNULER",
+    close: "FERMER",
+    ok: "OK",
+    save: "ENREGISTRER",
+    delete: "SUPPRIMER",
+    retry: "RÉESSAYER",
+    undo: "ANNULER",
+    language: "Langue",
+    dismiss: "Fermer",
+    details: "Détails",
+    hideDetails: "Masquer les détails",
+    shiftCount: { one: "{count} garde", other: "{count} gardes" },
+    duration: "{hours} h",
+    durationMinutes: "{hours} h {minutes} min",
+  },
+
+  // Built-in shift types, unless renamed in the shift types screen
+  shiftTypes: {
+    Consultation: "Consultation",
+    Telephone: "Téléphone",
+    Ambulance: "Ambulance",
+    Emergency: "Urgences",
+  },
+
+  shift: {
+    startTime: "Heure de début",
+    endTime: "Heure de fin",
+    type: "Type",
+    priceLabel: "Prix",
+    price: "Prix ({currency})",
+  },
+
+  validation: {
+    titleRequired: "Le titre est obligatoire.",
+    descriptionRequired: "La description est obligatoire.",
+    shiftsRequired: "Au moins une date/garde est obligatoire.",
+    pricePositive: "Le prix doit être > 0.",
+    zeroLength: "L'heure de fin doit différer de l'heure de début.",
+    overlap: "Chevauche la garde {type} de {time} le {date}.",
+  },
+
+  apiErrors: {
+    timeout: "Le serveur a mis trop de temps à répondre.",
+    network: "Impossible de se connecter au serveur.",
+    conflict: "Quelqu'un d'autre a modifié cette vacance entre-temps.",
+    validation: "Le serveur a refusé certaines valeurs.",
+    http: "Le serveur a refusé la requête ({status}).",
+    envelope: "Le serveur a envoyé une réponse inattendue.",
+    unauthorized: "Votre session a expiré. Reconnectez-vous.",
+  },
+
+  auth: {
+    title: "Connexion",
+    username: "Nom d'utilisateur",
+    password: "Mot de passe",
+    submit: "SE CONNECTER",
+    signingIn: "CONNEXION...",
+    failed: "Nom d'utilisateur ou mot de passe incorrect.",
+    expired:
+      "Votre session a expiré. Reconnectez-vous pour continuer ; vos modifications en cours sont conservées.",
+    signedInAs: "Connecté en tant que {name}",
+    logout: "SE DÉCONNECTER",
+    logoutConfirm: {
+      title: "Se déconnecter ?",
+      message: {
+        one: "{count} modification n'a pas encore été synchronisée et sera perdue.",
+        other:
+          "{count} modifications n'ont pas encore été synchronisées et seront perdues.",
+      },
+    },
+  },
+
+  vacancies: {
+    title: "Vacances",
+    all: "Toutes les vacances",
+    add: "AJOUTER UNE VACANCE",
+    sortHint: "Trier les vacances",
+    pastShiftsHint: "Gardes passées",
+    views: {
+      list: "Vue liste",
+      calendar: "Vue calendrier",
+      dashboard: "Tableau de bord",
+    },
+    exportCsv: "Exporter les vacances affichées en CSV",
+    exportIcs: "Exporter les gardes affichées vers l'agenda (.ics)",
+    calendarName: "Gardes des vacances",
+    calendarType: "Type : {type}",
+    calendarPrice: "Prix : {price}",
+    loading: "Chargement des vacances...",
+    loadingOne: "Chargement de la vacance...",
+    loadingMore: "Chargement...",
+    loadMore: "CHARGER PLUS",
+    loadMoreOf: "CHARGER PLUS ({loaded} sur {total})",
+    empty:
+      "Aucune vacance ne correspond aux filtres actuels ou aucune n'a de gardes.",
+    connectFailed:
+      "Impossible de se connecter à l'API. Vérifiez que le backend tourne sur {url}",
+    loadFailed: "Échec du chargement des vacances : {error}",
+    loadOneFailed: "La vacance {id} n'a pas pu être chargée : {error}",
+  },
+
+  offline: {
+    storageFailed:
+      "le serveur est injoignable et ce navigateur ne peut pas conserver la modification pour plus tard.",
+    offline: "Vous êtes hors ligne.",
+    unreachable: "Le serveur est injoignable.",
+    online: "De nouveau en ligne.",
+    stale: "Vacances affichées telles qu'enregistrées le {time}.",
+    pending: {
+      one: "{count} modification en attente de synchronisation.",
+      other: "{count} modifications en attente de synchronisation.",
+    },
+    syncing: "SYNCHRONISATION...",
+    discard: "ABANDONNER",
+    rejected: {
+      one: "{count} modification hors ligne n'a pas pu être synchronisée",
+      other: "{count} modifications hors ligne n'ont pas pu être synchronisées",
+    },
+    rejectedChange: "{action} « {title} » (en attente depuis {time}) : {error}",
+    actions: {
+      create: "Création",
+      update: "Modification",
+      delete: "Suppression",
+    },
+  },
+
+  filters: {
+    title: "Filtres",
+    clearAll: "Tout effacer",
+    searchPlaceholder: "Rechercher dans le titre ou la description",
+    shiftType: "Type de garde",
+    dateRange: "Période",
+    dateFrom: "Du",
+    dateTo: "Au",
+    weekdays: "Jours de la semaine",
+    priceRange: "Fourchette de prix :",
+    appliedPrice:
+      "Filtre appliqué : les gardes doivent avoir un prix entre {min} et {max} (mis à jour 500 ms après la saisie).",
+  },
+
+  sort: {
+    upcoming: "Prochaine garde",
+    price_desc: "Prix le plus élevé",
+    price_asc: "Prix le plus bas",
+    value_desc: "Valeur totale",
+    title: "Titre",
+    recent: "Créées récemment",
+  },
+
+  pastShifts: {
+    separate: "Gardes passées à part",
+    show: "Gardes passées dans la liste",
+    hide: "Masquer les gardes passées",
+  },
+
+  vacancyCard: {
+    select: "Sélectionner pour les actions groupées",
+    selectPending: "Sélectionnable une fois synchronisée",
+    pendingSync: "En attente de synchronisation",
+    exportIcs: "Exporter les gardes vers l'agenda (.ics)",
+    duplicate: "Dupliquer",
+    dates: "Dates",
+    pastShifts: "Gardes passées ({count})",
+    endsOn: "Se termine le {date}",
+    nextDay: "(+1 jour)",
+    doubleBooked: "Double réservation",
+  },
+
+  drawer: {
+    createTitle: "Créer une vacance",
+    editTitle: "Modifier la vacance",
+    exportIcs: "Exporter les gardes enregistrées vers l'agenda (.ics)",
+    title: "Titre",
+    titlePlaceholder: "Titre de la garde",
+    description: "Description",
+    descriptionPlaceholder: "Description de la garde",
+    addDate: "Date d'une nouvelle garde",
+    addShift: "Ajouter une garde à cette date",
+    shiftSettings: "Réglages par garde",
+    noShifts: "Ajoutez des gardes avec le sélecteur de date ci-dessus.",
+    shiftFor: "Garde du {date}",
+    doubleBookedWith: "Double réservation avec :",
+    clashingVacancy: "{title} (ID : {id})",
+    duration: "Durée : {duration}",
+    endsNextDay: "Se termine le lendemain ({date})",
+    resetPrice: "Utiliser le prix des règles tarifaires",
+    priceOverridden: "Prix saisi à la main (règles : {price})",
+    fixFields: "Corrigez les champs en surbrillance avant d'enregistrer.",
+    doubleBooked:
+      "Certaines gardes chevauchent une autre vacance. Modifiez-les ou supprimez-les avant d'enregistrer.",
+    serverRejected:
+      "Le serveur a refusé certaines valeurs. Vérifiez les champs en surbrillance.",
+    queued:
+      "Vous êtes hors ligne. La vacance sera enregistrée au retour de la connexion.",
+    created: "Vacance créée.",
+    updated: "Vacance mise à jour.",
+    saveFailed: "Erreur lors de l'enregistrement de la vacance : {error}",
+    openOther: {
+      title: "Ouvrir « {title} » ?",
+      message: "Les modifications non enregistrées seront perdues.",
+      confirm: "OUVRIR",
+    },
+    deleteConfirm: {
+      title: "Supprimer la vacance ?",
+      message: "« {title} » et toutes ses gardes seront supprimées.",
+    },
+    deleted: "Vacance « {title} » supprimée.",
+    deleteFailed:
+      "Erreur lors de la suppression de la vacance « {title} » : {error}",
+  },
+
+  templates: {
+    save: "Enregistrer comme modèle",
+    saveButton: "ENREGISTRER LE MODÈLE",
+    namePlaceholder: "Nom du modèle",
+    saved: "Modèle « {name} » enregistré.",
+    deleteTitle: "Supprimer le modèle ?",
+    deleteMessage: "Le modèle « {name} » sera supprimé.",
+  },
+
+  recurring: {
+    open: "Générer des gardes récurrentes",
+    title: "Gardes récurrentes",
+    repeat: "Répéter",
+    daily: "Tous les jours",
+    weekly: "Toutes les semaines",
+    everyDays: "Tous les (jours)",
+    everyWeeks: "Toutes les (semaines)",
+    from: "À partir du",
+    until: "Jusqu'au",
+    occurrences: "Occurrences",
+    excludedDates: "Dates exclues",
+    exclude: "Exclure",
+    preview: {
+      one: "Aperçu : {count} garde",
+      other: "Aperçu : {count} gardes",
+    },
+    conflicts: {
+      one: "{count} chevauche des gardes existantes",
+      other: "{count} chevauchent des gardes existantes",
+    },
+    conflict: "Conflit",
+    skipConflicts: "Ignorer les gardes en conflit",
+    add: { one: "Ajouter {count} garde", other: "Ajouter {count} gardes" },
+  },
+
+  shiftBulk: {
+    all: "Toutes",
+    byWeekday: "Par jour…",
+    byWeekdayHint: "Sélectionner les gardes d'un jour de la semaine",
+    byType: "Par type…",
+    byTypeHint: "Sélectionner les gardes d'un type",
+    selected: {
+      one: "{count} sélectionnée",
+      other: "{count} sélectionnées",
+    },
+    apply: "APPLIQUER",
+    remove: "Supprimer",
+    removeHint: "Supprimer les gardes sélectionnées",
+    updated: {
+      one: "{action} : {count} garde mise à jour.",
+      other: "{action} : {count} gardes mises à jour.",
+    },
+    problems: {
+      one: "{count} problème à corriger dans les gardes.",
+      other: "{count} problèmes à corriger dans les gardes.",
+    },
+  },
+
+  merge: {
+    title: "Résoudre le conflit de modification",
+    intro:
+      "Quelqu'un d'autre a modifié cette vacance pendant que vous la modifiiez. Choisissez ce que vous gardez ; les changements faits uniquement par vous sont présélectionnés.",
+    keepMine: "GARDER TOUTES LES MIENNES",
+    takeCurrent: "PRENDRE TOUTE LA VERSION ACTUELLE",
+    mine: "Votre version",
+    theirs: "Version actuelle",
+    fields: { title: "Titre", description: "Description" },
+    shifts: "Gardes",
+    shiftCounts: "({changed} différentes, {same} inchangées)",
+    sameShifts: "Les deux versions ont les mêmes gardes.",
+    status: {
+      same: "Inchangée",
+      changed: "Modifiée des deux côtés",
+      "mine-only": "Uniquement dans votre version",
+      "theirs-only": "Uniquement dans la version actuelle",
+    },
+    drop: "Retirer",
+    confirm: "UTILISER LA VERSION FUSIONNÉE",
+    notSaved:
+      "Non enregistrée : quelqu'un d'autre a modifié cette vacance. Enregistrez à nouveau pour résoudre le conflit.",
+    loadFailed:
+      "Quelqu'un d'autre a modifié cette vacance, et sa version actuelle n'a pas pu être chargée : {error}",
+    merged:
+      "Fusionnée avec la version actuelle. Vérifiez la vacance et enregistrez.",
+  },
+
+  calendar: {
+    previous: "Précédent",
+    next: "Suivant",
+    today: "Aujourd'hui",
+    week: "Semaine",
+    month: "Mois",
+  },
+
+  offset: {
+    label: "Décaler toutes les dates de",
+    days: { one: "jour", other: "jours" },
+    weeks: { one: "semaine", other: "semaines" },
+  },
+
+  newVacancy: {
+    title: "Nouvelle vacance",
+    blank: "Vacance vide",
+    fromTemplate: "À partir d'un modèle",
+    firstShiftOn: "Première garde le",
+    deleteTemplate: "Supprimer le modèle",
+  },
+
+  duplicate: {
+    title: "Dupliquer la vacance",
+    intro: {
+      one: "Une copie de « {title} » avec sa {count} garde s'ouvre dans le panneau.",
+      other:
+        "Une copie de « {title} » avec ses {count} gardes s'ouvre dans le panneau.",
+    },
+    confirm: "DUPLIQUER",
+  },
+
+  bulkVacancies: {
+    selectAll: {
+      one: "Sélectionner la vacance correspondante",
+      other: "Sélectionner les {count} vacances correspondantes",
+    },
+    selectedCount: {
+      one: "{count} sélectionnée",
+      other: "{count} sélectionnées",
+    },
+    exportCsv: "Exporter les vacances sélectionnées en CSV",
+    exportIcs: "Exporter les gardes sélectionnées vers l'agenda (.ics)",
+    selected: {
+      one: "{count} vacance sélectionnée :",
+      other: "{count} vacances sélectionnées :",
+    },
+    cannotUndo: "Cette action est irréversible.",
+    progress: "Traitement {done} / {total}...",
+    delete: {
+      button: "SUPPRIMER",
+      title: "Supprimer des vacances",
+      confirm: "SUPPRIMER {count}",
+      done: {
+        one: "{done} vacance sur {count} supprimée.",
+        other: "{done} vacances sur {count} supprimées.",
+      },
+    },
+    duplicate: {
+      button: "DUPLIQUER",
+      title: "Dupliquer des vacances",
+      confirm: "DUPLIQUER {count}",
+      done: {
+        one: "{done} vacance sur {count} dupliquée.",
+        other: "{done} vacances sur {count} dupliquées.",
+      },
+    },
+    move: {
+      button: "DÉCALER LES DATES",
+      hint: "Décaler toutes les dates des gardes",
+      title: "Décaler les dates des gardes",
+      confirm: "DÉCALER {count}",
+      done: {
+        one: "{done} vacance sur {count} décalée.",
+        other: "{done} vacances sur {count} décalées.",
+      },
+    },
+  },
+
+  bulkEdit: {
+    actions: {
+      start_time: "Définir l'heure de début",
+      end_time: "Définir l'heure de fin",
+      type: "Définir le type",
+      price: "Définir le prix",
+      price_percent: "Ajuster le prix de %",
+    },
+  },
+
+  pricing: {
+    title: "Règles tarifaires",
+    intro:
+      "Les nouvelles gardes sont tarifées selon ces règles, et retarifées quand leur horaire ou leur type change. Les prix saisis à la main sont conservés.",
+    baseRate: "Tarif de base",
+    flat: "Par garde",
+    hourly: "Par heure",
+    surcharges: "Majorations",
+    weekend: "Week-end",
+    holiday: "Jour férié",
+    insteadOfWeekend: "(au lieu du week-end)",
+    night: "Heures de nuit",
+    holidays: "Jours fériés",
+    addHoliday: "Ajouter un jour férié",
+    noHolidays: "Aucun jour férié ajouté.",
+    reset: "RÉINITIALISER",
+    breakdown: {
+      hourly: "{type} : {hours} h × {rate}",
+      flat: "{type} : forfait",
+      holiday: "Jour férié +{percent} %",
+      weekend: "Week-end +{percent} %",
+      night: "Nuit {time} ({hours} h) +{percent} %",
+    },
+  },
+
+  shiftTypesAdmin: {
+    title: "Types de garde",
+    intro:
+      "Les nouvelles gardes reprennent les horaires et le prix par défaut de leur type. Les types archivés restent sur les gardes existantes mais ne peuvent plus être choisis. Les types intégrés sont utilisés jusqu'à la création du premier type.",
+    new: "NOUVEAU TYPE",
+    name: "Nom",
+    displayName: "Nom affiché",
+    color: "Couleur",
+    icon: "Icône",
+    defaultStart: "Début par défaut",
+    defaultEnd: "Fin par défaut",
+    defaultPrice: "Prix par défaut ({currency})",
+    archived: "Archivé",
+    archive: "ARCHIVER",
+    restore: "RESTAURER",
+    edit: "MODIFIER",
+    archivedOption: "{type} (archivé)",
+    saved: "Type de garde {name} enregistré.",
+    loadFailed: "Impossible de charger les types de garde : {error}",
+    nameRequired: "Saisissez un nom.",
+    nameTaken: "Un type de garde porte déjà ce nom.",
+    priceInvalid: "Saisissez un prix de 0 ou plus.",
+  },
+
+  analytics: {
+    periods: { week: "Par semaine", month: "Par mois" },
+    metrics: { hours: "Heures", spend: "Dépenses" },
+    chartTitle: {
+      hours: "Heures {period}",
+      spend: "Dépenses {period}",
+    },
+    weekOf: "Semaine du {date}",
+    empty:
+      "Aucune garde ne correspond aux filtres actuels, il n'y a donc rien à analyser.",
+    partial:
+      "Ces chiffres ne couvrent que les vacances chargées jusqu'ici. Chargez plus de résultats pour inclure le reste.",
+    shifts: "Gardes",
+    totalHours: "Total des heures",
+    totalSpend: "Total des dépenses",
+    averagePrice: "Prix moyen",
+    vacancies: "Vacances",
+    vacanciesHint:
+      "{upcoming} avec des gardes à venir, {past} uniquement passées",
+    export: "EXPORTER",
+    exportHint: "Exporter ces chiffres en CSV",
+    byType: "Par type de garde",
+    columns: {
+      type: "Type",
+      shifts: "Gardes",
+      hours: "Heures",
+      spend: "Dépenses",
+      averagePrice: "Prix moyen",
+    },
+  },
+
+  csvImport: {
+    title: "Importer des vacances depuis un CSV",
+    intro:
+      "Une ligne par garde avec les colonnes : {columns}. Les lignes avec un vacancy_id remplacent les gardes de cette vacance ; les autres sont regroupées en nouvelles vacances par titre et description.",
+    chooseFile: "Choisir un fichier .csv",
+    summary: {
+      rows: { one: "{count} ligne", other: "{count} lignes" },
+      valid: {
+        one: "{count} vacance valide",
+        other: "{count} vacances valides",
+      },
+      invalid: {
+        one: "{count} avec erreurs (ignorée)",
+        other: "{count} avec erreurs (ignorées)",
+      },
+    },
+    columns: {
+      line: "Ligne",
+      vacancy: "Vacance",
+      date: "Date",
+      time: "Heure",
+      type: "Type",
+      price: "Prix",
+      errors: "Erreurs",
+    },
+    progress: "Importation {done} / {total}...",
+    done: {
+      one: "{done} vacance sur {count} importée.",
+      other: "{done} vacances sur {count} importées.",
+    },
+    removesShifts: {
+      one: "#{id} {title} : {count} garde absente du fichier sera supprimée.",
+      other:
+        "#{id} {title} : {count} gardes absentes du fichier seront supprimées.",
+    },
+    failed: "{title} (lignes {lines}) : {error}",
+    confirm: {
+      one: "IMPORTER {count} VACANCE",
+      other: "IMPORTER {count} VACANCES",
+    },
+    errors: {
+      missingColumns: "Colonne(s) manquante(s) : {columns}",
+      type: "Le type doit être l'un de : {types}.",
+      date: "Date invalide.",
+      startTime: "Heure de début invalide.",
+      endTime: "Heure de fin invalide.",
+      sameVacancy:
+        "Les lignes d'une même vacance doivent avoir le même titre et la même description.",
+    },
+  },
+};
+
+export default fr;
@@ -0,0 +1,84 @@
+// Message catalogs and lookup. The current language is module state so that
+// plain helpers (validation messages, option labels, API error texts)
+// translate as well; I18nProvider keeps it in sync and re-renders the app when
+// it changes.
+
+import en from "./en";
+import nl from "./nl";
+import fr from "./fr";
+import { getShiftType } from "../utils/shiftTypes";
+
+export const languages = [
+  { code: "en", label: "English" },
+  { code: "nl", label: "Nederlands" },
+  { code: "fr", label: "Français" },
+];
+
+const catalogs = { en, nl, fr };
+const DEFAULT_LANGUAGE = "en";
+const STORAGE_KEY = "swift-management.language";
+
+// Saved choice, else the first supported browser language
+const detectLanguage = () => {
+  try {
+    const stored = globalThis.localStorage?.getItem(STORAGE_KEY);
+    if (catalogs[stored]) return stored;
+  } catch {
+    // Storage disabled: fall through to the browser languages
+  }
+  const preferred = globalThis.navigator?.languages || [];
+  return (
+    preferred
+      .map((tag) => tag.split("-")[0].toLowerCase())
+      .find((code) => catalogs[code]) || DEFAULT_LANGUAGE
+  );
+};
+
+let language = detectLanguage();
+
+export const getLanguage = () => language;
+
+export const setLanguage = (code) => {
+  if (!catalogs[code]) return;
+  language = code;
+  try {
+    globalThis.localStorage?.setItem(STORAGE_KEY, code);
+  } catch (error) {
+    console.warn("Could not store the language:", error);
+  }
+};
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => node?.[part], catalog);
+
+const pluralRules = new Map();
+const selectPlural = (count) => {
+  if (!pluralRules.has(language)) {
+    pluralRules.set(language, new Intl.PluralRules(language));
+  }
+  return pluralRules.get(language).select(count);
+};
+
+// `key` is a dotted path into the catalog, e.g. "drawer.save". `{name}`
+// placeholders are filled from `params`. A message given as
+// { one, other, ... } is picked by `params.count` (Intl plural categories).
+// Missing messages fall back to English, then to the key itself.
+export const t = (key, params = {}) => {
+  let message = lookup(catalogs[language], key) ?? lookup(en, key) ?? key;
+  if (typeof message === "object") {
+    message = message[selectPlural(params.count)] ?? message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+};
+
+// Display name of a shift type: the name given in the shift types screen,
+// else its translation in the current language (catalogs translate the
+// built-in types), else the canonical value the API uses. A display name equal
+// to the canonical value counts as not given.
+export const typeLabel = (type) => {
+  const displayName = getShiftType(type)?.display_name;
+  if (displayName && displayName !== type) return displayName;
+  return lookup(catalogs[language], `shiftTypes.${type}`) ?? type;
+};
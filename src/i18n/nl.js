@@ -0,0 +1,511 @@
+// Dutch messages. Keys missing here fall back to English.
+
+const nl = {
+  common: {
+    cancel: "ANNULEREN",
+    close: "SLUITEN",
+    ok: "OK",
+    save: "OPSLAAN",
+    delete: "VERWIJDEREN",
+    retry: "OPNIEUW",
+    undo: "ONGEDAAN MAKEN",
+    language: "Taal",
+    dismiss: "Sluiten",
+    details: "Details",
+    hideDetails: "Details verbergen",
+    shiftCount: { one: "{count} dienst", other: "{count} diensten" },
+    duration: "{hours}u",
+    durationMinutes: "{hours}u {minutes}m",
+  },
+
+  // Built-in shift types, unless renamed in the shift types screen
+  shiftTypes: {
+    Consultation: "Consult",
+    Telephone: "Telefoon",
+    Ambulance: "Ambulance",
+    Emergency: "Spoed",
+  },
+
+  shift: {
+    startTime: "Begintijd",
+    endTime: "Eindtijd",
+    type: "Type",
+    priceLabel: "Prijs",
+    price: "Prijs ({currency})",
+  },
+
+  validation: {
+    titleRequired: "Titel is verplicht.",
+    descriptionRequired: "Omschrijving is verplicht.",
+    shiftsRequired: "Minstens één datum/dienst is verplicht.",
+    pricePositive: "Prijs moet > 0 zijn.",
+    zeroLength: "Eindtijd moet verschillen van begintijd.",
+    overlap: "Overlapt met de {type}-dienst van {time} op {date}.",
+  },
+
+  apiErrors: {
+    timeout: "De server reageerde niet op tijd.",
+    network: "Kan geen verbinding maken met de server.",
+    conflict: "Iemand anders heeft deze vacature intussen gewijzigd.",
+    validation: "De server heeft enkele waarden geweigerd.",
+    http: "De server heeft het verzoek geweigerd ({status}).",
+    envelope: "De server stuurde een onverwacht antwoord.",
+    unauthorized: "Je sessie is verlopen. Log opnieuw in.",
+  },
+
+  auth: {
+    title: "Inloggen",
+    username: "Gebruikersnaam",
+    password: "Wachtwoord",
+    submit: "INLOGGEN",
+    signingIn: "BEZIG MET INLOGGEN...",
+    failed: "Onjuiste gebruikersnaam of wachtwoord.",
+    expired:
+      "Je sessie is verlopen. Log opnieuw in om verder te gaan; wat je aan het bewerken was blijft bewaard.",
+    signedInAs: "Ingelogd als {name}",
+    logout: "UITLOGGEN",
+    logoutConfirm: {
+      title: "Uitloggen?",
+      message: {
+        one: "{count} wijziging is nog niet gesynchroniseerd en gaat verloren.",
+        other:
+          "{count} wijzigingen zijn nog niet gesynchroniseerd en gaan verloren.",
+      },
+    },
+  },
+
+  vacancies: {
+    title: "Vacatures",
+    all: "Alle vacatures",
+    add: "VACATURE TOEVOEGEN",
+    sortHint: "Vacatures sorteren",
+    pastShiftsHint: "Afgelopen diensten",
+    views: {
+      list: "Lijstweergave",
+      calendar: "Kalenderweergave",
+      dashboard: "Dashboard",
+    },
+    exportCsv: "Getoonde vacatures exporteren als CSV",
+    exportIcs: "Getoonde diensten exporteren naar agenda (.ics)",
+    calendarName: "Vacaturediensten",
+    calendarType: "Type: {type}",
+    calendarPrice: "Prijs: {price}",
+    loading: "Vacatures laden...",
+    loadingOne: "Vacature laden...",
+    loadingMore: "Laden...",
+    loadMore: "MEER LADEN",
+    loadMoreOf: "MEER LADEN ({loaded} van {total})",
+    empty:
+      "Geen vacatures gevonden die aan de huidige filters voldoen of met diensten.",
+    connectFailed:
+      "Kan geen verbinding maken met de API. Controleer of de backend draait op {url}",
+    loadFailed: "Vacatures laden mislukt: {error}",
+    loadOneFailed: "Vacature {id} kon niet worden geladen: {error}",
+  },
+
+  offline: {
+    storageFailed:
+      "de server is niet bereikbaar en deze browser kan de wijziging niet bewaren voor later.",
+    offline: "Je bent offline.",
+    unreachable: "De server is niet bereikbaar.",
+    online: "Weer online.",
+    stale: "Vacatures getoond zoals opgeslagen op {time}.",
+    pending: {
+      one: "{count} wijziging wacht op synchronisatie.",
+      other: "{count} wijzigingen wachten op synchronisatie.",
+    },
+    syncing: "SYNCHRONISEREN...",
+    discard: "VERWERPEN",
+    rejected: {
+      one: "{count} offline wijziging kon niet worden gesynchroniseerd",
+      other: "{count} offline wijzigingen konden niet worden gesynchroniseerd",
+    },
+    rejectedChange: '{action} "{title}" (in wachtrij {time}): {error}',
+    actions: { create: "Aanmaken", update: "Bewerken", delete: "Verwijderen" },
+  },
+
+  filters: {
+    title: "Filters",
+    clearAll: "Alles wissen",
+    searchPlaceholder: "Zoek op titel of omschrijving",
+    shiftType: "Diensttype",
+    dateRange: "Periode",
+    dateFrom: "Van",
+    dateTo: "Tot",
+    weekdays: "Weekdagen",
+    priceRange: "Prijsbereik:",
+    appliedPrice:
+      "Actief filter: diensten moeten een prijs hebben tussen {min} en {max} (bijgewerkt 500ms nadat je stopt met typen).",
+  },
+
+  sort: {
+    upcoming: "Eerstvolgende dienst",
+    price_desc: "Hoogste prijs",
+    price_asc: "Laagste prijs",
+    value_desc: "Totale waarde",
+    title: "Titel",
+    recent: "Laatst aangemaakt",
+  },
+
+  pastShifts: {
+    separate: "Afgelopen diensten apart",
+    show: "Afgelopen diensten tussen de rest",
+    hide: "Afgelopen diensten verbergen",
+  },
+
+  vacancyCard: {
+    select: "Selecteren voor bulkacties",
+    selectPending: "Kan pas worden geselecteerd na synchronisatie",
+    pendingSync: "Wacht op synchronisatie",
+    exportIcs: "Diensten exporteren naar agenda (.ics)",
+    duplicate: "Dupliceren",
+    dates: "Data",
+    pastShifts: "Afgelopen diensten ({count})",
+    endsOn: "Eindigt op {date}",
+    nextDay: "(+1 dag)",
+    doubleBooked: "Dubbel geboekt",
+  },
+
+  drawer: {
+    createTitle: "Vacature aanmaken",
+    editTitle: "Vacature bewerken",
+    exportIcs: "Opgeslagen diensten exporteren naar agenda (.ics)",
+    title: "Titel",
+    titlePlaceholder: "Titel van de dienst",
+    description: "Omschrijving",
+    descriptionPlaceholder: "Omschrijving van de dienst",
+    addDate: "Datum voor een nieuwe dienst",
+    addShift: "Dienst toevoegen op deze datum",
+    shiftSettings: "Instellingen per dienst",
+    noShifts: "Voeg diensten toe met de datumkiezer hierboven.",
+    shiftFor: "Dienst op: {date}",
+    doubleBookedWith: "Dubbel geboekt met:",
+    clashingVacancy: "{title} (ID: {id})",
+    duration: "Duur: {duration}",
+    endsNextDay: "Eindigt de volgende dag ({date})",
+    resetPrice: "Prijs uit de prijsregels gebruiken",
+    priceOverridden: "Prijs met de hand ingesteld (regels: {price})",
+    fixFields: "Corrigeer de gemarkeerde velden voordat je opslaat.",
+    doubleBooked:
+      "Sommige diensten zijn dubbel geboekt met een andere vacature. Wijzig of verwijder ze voordat je opslaat.",
+    serverRejected:
+      "De server heeft enkele waarden geweigerd. Controleer de gemarkeerde velden.",
+    queued:
+      "Je bent offline. De vacature wordt opgeslagen zodra de verbinding terug is.",
+    created: "Vacature aangemaakt.",
+    updated: "Vacature bijgewerkt.",
+    saveFailed: "Fout bij het opslaan van de vacature: {error}",
+    openOther: {
+      title: '"{title}" openen?',
+      message: "Niet-opgeslagen wijzigingen gaan verloren.",
+      confirm: "OPENEN",
+    },
+    deleteConfirm: {
+      title: "Vacature verwijderen?",
+      message: '"{title}" en al zijn diensten worden verwijderd.',
+    },
+    deleted: 'Vacature "{title}" verwijderd.',
+    deleteFailed: 'Fout bij het verwijderen van vacature "{title}": {error}',
+  },
+
+  templates: {
+    save: "Opslaan als sjabloon",
+    saveButton: "SJABLOON OPSLAAN",
+    namePlaceholder: "Naam van het sjabloon",
+    saved: 'Sjabloon "{name}" opgeslagen.',
+    deleteTitle: "Sjabloon verwijderen?",
+    deleteMessage: 'Het sjabloon "{name}" wordt verwijderd.',
+  },
+
+  recurring: {
+    open: "Terugkerende diensten genereren",
+    title: "Terugkerende diensten",
+    repeat: "Herhalen",
+    daily: "Dagelijks",
+    weekly: "Wekelijks",
+    everyDays: "Elke (dagen)",
+    everyWeeks: "Elke (weken)",
+    from: "Vanaf",
+    until: "Tot",
+    occurrences: "Aantal keer",
+    excludedDates: "Uitgesloten data",
+    exclude: "Uitsluiten",
+    preview: {
+      one: "Voorbeeld: {count} dienst",
+      other: "Voorbeeld: {count} diensten",
+    },
+    conflicts: {
+      one: "{count} overlapt met bestaande diensten",
+      other: "{count} overlappen met bestaande diensten",
+    },
+    conflict: "Conflict",
+    skipConflicts: "Overlappende diensten overslaan",
+    add: {
+      one: "{count} dienst toevoegen",
+      other: "{count} diensten toevoegen",
+    },
+  },
+
+  shiftBulk: {
+    all: "Alle",
+    byWeekday: "Per weekdag…",
+    byWeekdayHint: "De diensten op een weekdag selecteren",
+    byType: "Per type…",
+    byTypeHint: "De diensten van een type selecteren",
+    selected: "{count} geselecteerd",
+    apply: "TOEPASSEN",
+    remove: "Verwijderen",
+    removeHint: "De geselecteerde diensten verwijderen",
+    updated: {
+      one: "{action}: {count} dienst bijgewerkt.",
+      other: "{action}: {count} diensten bijgewerkt.",
+    },
+    problems: {
+      one: "{count} probleem op te lossen in de diensten.",
+      other: "{count} problemen op te lossen in de diensten.",
+    },
+  },
+
+  merge: {
+    title: "Bewerkingsconflict oplossen",
+    intro:
+      "Iemand anders heeft deze vacature gewijzigd terwijl jij hem bewerkte. Kies wat je wilt behouden; wijzigingen die alleen jij hebt gemaakt zijn al geselecteerd.",
+    keepMine: "ALLES VAN MIJ HOUDEN",
+    takeCurrent: "ALLES HUIDIGE NEMEN",
+    mine: "Jouw versie",
+    theirs: "Huidige versie",
+    fields: { title: "Titel", description: "Omschrijving" },
+    shifts: "Diensten",
+    shiftCounts: "({changed} verschillend, {same} ongewijzigd)",
+    sameShifts: "Beide versies hebben dezelfde diensten.",
+    status: {
+      same: "Ongewijzigd",
+      changed: "Aan beide kanten gewijzigd",
+      "mine-only": "Alleen in jouw versie",
+      "theirs-only": "Alleen in de huidige versie",
+    },
+    drop: "Weglaten",
+    confirm: "SAMENGEVOEGDE VERSIE GEBRUIKEN",
+    notSaved:
+      "Niet opgeslagen: iemand anders heeft deze vacature gewijzigd. Sla opnieuw op om het conflict op te lossen.",
+    loadFailed:
+      "Iemand anders heeft deze vacature gewijzigd, en de huidige versie kon niet worden geladen: {error}",
+    merged:
+      "Samengevoegd met de huidige versie. Controleer de vacature en sla op.",
+  },
+
+  calendar: {
+    previous: "Vorige",
+    next: "Volgende",
+    today: "Vandaag",
+    week: "Week",
+    month: "Maand",
+  },
+
+  offset: {
+    label: "Alle data verschuiven met",
+    days: { one: "dag", other: "dagen" },
+    weeks: { one: "week", other: "weken" },
+  },
+
+  newVacancy: {
+    title: "Nieuwe vacature",
+    blank: "Lege vacature",
+    fromTemplate: "Vanuit een sjabloon",
+    firstShiftOn: "Eerste dienst op",
+    deleteTemplate: "Sjabloon verwijderen",
+  },
+
+  duplicate: {
+    title: "Vacature dupliceren",
+    intro: {
+      one: 'Een kopie van "{title}" met zijn {count} dienst opent in de zijbalk.',
+      other:
+        'Een kopie van "{title}" met zijn {count} diensten opent in de zijbalk.',
+    },
+    confirm: "DUPLICEREN",
+  },
+
+  bulkVacancies: {
+    selectAll: {
+      one: "De {count} overeenkomende vacature selecteren",
+      other: "Alle {count} overeenkomende vacatures selecteren",
+    },
+    selectedCount: "{count} geselecteerd",
+    exportCsv: "Geselecteerde vacatures exporteren als CSV",
+    exportIcs: "Geselecteerde diensten exporteren naar agenda (.ics)",
+    selected: {
+      one: "{count} geselecteerde vacature:",
+      other: "{count} geselecteerde vacatures:",
+    },
+    cannotUndo: "Dit kan niet ongedaan worden gemaakt.",
+    progress: "Bezig {done} / {total}...",
+    delete: {
+      button: "VERWIJDEREN",
+      title: "Vacatures verwijderen",
+      confirm: "{count} VERWIJDEREN",
+      done: {
+        one: "{done} van {count} vacature verwijderd.",
+        other: "{done} van {count} vacatures verwijderd.",
+      },
+    },
+    duplicate: {
+      button: "DUPLICEREN",
+      title: "Vacatures dupliceren",
+      confirm: "{count} DUPLICEREN",
+      done: {
+        one: "{done} van {count} vacature gedupliceerd.",
+        other: "{done} van {count} vacatures gedupliceerd.",
+      },
+    },
+    move: {
+      button: "DATA VERSCHUIVEN",
+      hint: "Alle dienstdata verschuiven",
+      title: "Dienstdata verschuiven",
+      confirm: "{count} VERSCHUIVEN",
+      done: {
+        one: "{done} van {count} vacature verschoven.",
+        other: "{done} van {count} vacatures verschoven.",
+      },
+    },
+  },
+
+  bulkEdit: {
+    actions: {
+      start_time: "Begintijd instellen",
+      end_time: "Eindtijd instellen",
+      type: "Type instellen",
+      price: "Prijs instellen",
+      price_percent: "Prijs aanpassen met %",
+    },
+  },
+
+  pricing: {
+    title: "Prijsregels",
+    intro:
+      "Nieuwe diensten worden met deze regels geprijsd, en opnieuw geprijsd als hun tijd of type verandert. Met de hand ingevoerde prijzen blijven behouden.",
+    baseRate: "Basistarief",
+    flat: "Per dienst",
+    hourly: "Per uur",
+    surcharges: "Toeslagen",
+    weekend: "Weekend",
+    holiday: "Feestdag",
+    insteadOfWeekend: "(in plaats van weekend)",
+    night: "Nachturen",
+    holidays: "Feestdagen",
+    addHoliday: "Feestdag toevoegen",
+    noHolidays: "Geen feestdagen toegevoegd.",
+    reset: "HERSTELLEN",
+    breakdown: {
+      hourly: "{type}: {hours}u × {rate}",
+      flat: "{type}: vast tarief",
+      holiday: "Feestdag +{percent}%",
+      weekend: "Weekend +{percent}%",
+      night: "Nacht {time} ({hours}u) +{percent}%",
+    },
+  },
+
+  shiftTypesAdmin: {
+    title: "Diensttypes",
+    intro:
+      "Nieuwe diensten krijgen de standaardtijden en -prijs van hun type. Gearchiveerde types blijven op bestaande diensten staan, maar kunnen niet meer gekozen worden. Tot het eerste type is aangemaakt worden de ingebouwde types gebruikt.",
+    new: "NIEUW TYPE",
+    name: "Naam",
+    displayName: "Weergavenaam",
+    color: "Kleur",
+    icon: "Pictogram",
+    defaultStart: "Standaard begin",
+    defaultEnd: "Standaard einde",
+    defaultPrice: "Standaardprijs ({currency})",
+    archived: "Gearchiveerd",
+    archive: "ARCHIVEREN",
+    restore: "HERSTELLEN",
+    edit: "BEWERKEN",
+    archivedOption: "{type} (gearchiveerd)",
+    saved: "Diensttype {name} opgeslagen.",
+    loadFailed: "De diensttypes konden niet geladen worden: {error}",
+    nameRequired: "Vul een naam in.",
+    nameTaken: "Er bestaat al een diensttype met deze naam.",
+    priceInvalid: "Vul een prijs van 0 of meer in.",
+  },
+
+  analytics: {
+    periods: { week: "Per week", month: "Per maand" },
+    metrics: { hours: "Uren", spend: "Kosten" },
+    chartTitle: {
+      hours: "Uren {period}",
+      spend: "Kosten {period}",
+    },
+    weekOf: "Week van {date}",
+    empty:
+      "Geen diensten voldoen aan de huidige filters, dus er valt niets te analyseren.",
+    partial:
+      "Deze cijfers gaan alleen over de tot nu toe geladen vacatures. Laad meer resultaten om de rest mee te tellen.",
+    shifts: "Diensten",
+    totalHours: "Totaal uren",
+    totalSpend: "Totale kosten",
+    averagePrice: "Gemiddelde prijs",
+    vacancies: "Vacatures",
+    vacanciesHint: "{upcoming} met komende diensten, {past} alleen verleden",
+    export: "EXPORTEREN",
+    exportHint: "Deze cijfers exporteren als CSV",
+    byType: "Per diensttype",
+    columns: {
+      type: "Type",
+      shifts: "Diensten",
+      hours: "Uren",
+      spend: "Kosten",
+      averagePrice: "Gem. prijs",
+    },
+  },
+
+  csvImport: {
+    title: "Vacatures importeren uit CSV",
+    intro:
+      "Eén rij per dienst met de kolommen: {columns}. Rijen met een vacancy_id vervangen de diensten van die vacature; andere rijen worden op titel en omschrijving gegroepeerd tot nieuwe vacatures.",
+    chooseFile: "Kies een .csv-bestand",
+    summary: {
+      rows: { one: "{count} rij", other: "{count} rijen" },
+      valid: {
+        one: "{count} geldige vacature",
+        other: "{count} geldige vacatures",
+      },
+      invalid: "{count} met fouten (overgeslagen)",
+    },
+    columns: {
+      line: "Regel",
+      vacancy: "Vacature",
+      date: "Datum",
+      time: "Tijd",
+      type: "Type",
+      price: "Prijs",
+      errors: "Fouten",
+    },
+    progress: "Importeren {done} / {total}...",
+    done: {
+      one: "{done} van {count} vacature geïmporteerd.",
+      other: "{done} van {count} vacatures geïmporteerd.",
+    },
+    removesShifts: {
+      one: "#{id} {title}: {count} dienst die niet in het bestand staat wordt verwijderd.",
+      other:
+        "#{id} {title}: {count} diensten die niet in het bestand staan worden verwijderd.",
+    },
+    failed: "{title} (regels {lines}): {error}",
+    confirm: {
+      one: "{count} VACATURE IMPORTEREN",
+      other: "{count} VACATURES IMPORTEREN",
+    },
+    errors: {
+      missingColumns: "Ontbrekende kolom(men): {columns}",
+      type: "Type moet een van deze zijn: {types}.",
+      date: "Ongeldige datum.",
+      startTime: "Ongeldige begintijd.",
+      endTime: "Ongeldige eindtijd.",
+      sameVacancy:
+        "Rijen van één vacature moeten dezelfde titel en omschrijving hebben.",
+    },
+  },
+};
+
+export default nl;
@@ -0,0 +1,158 @@
+// Aggregates for the dashboard: shift hours and spend per week or month,
+// split by shift type, computed from the (filtered) loaded vacancies.
+
+import {
+  toISODate,
+  parseISODate,
+  addDays,
+  addMonths,
+  startOfWeek,
+} from "./date";
+import { formatDate, formatMonth } from "./format";
+import { getShiftDurationMinutes } from "./shifts";
+import { getActiveShiftTypes } from "./shiftTypes";
+import { isPastShift } from "./sorting";
+import { toCsv } from "./csv";
+import { t } from "../i18n";
+
+// Labels are the "analytics.periods.<period>" messages
+export const analyticsPeriods = ["week", "month"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Key of the week (starting Monday) or month a date falls in
+const getPeriodKey = (date, period) =>
+  period === "month"
+    ? date.substring(0, 7)
+    : toISODate(startOfWeek(parseISODate(date)));
+
+// Display label of a period key. Not stored in the series, so it follows the
+// UI language without recomputing the figures.
+export const getPeriodLabel = (key, period) =>
+  period === "month"
+    ? formatMonth(parseISODate(`${key}-01`))
+    : t("analytics.weekOf", { date: formatDate(key) });
+
+const emptyTotals = () => ({ shifts: 0, hours: 0, spend: 0 });
+
+// Every period from the first to the last key, so gaps show as empty bars
+const fillPeriods = (series, period) => {
+  const keys = [...series.keys()].sort();
+  if (keys.length === 0) return [];
+  const last = keys[keys.length - 1];
+  const result = [];
+  let date = parseISODate(period === "month" ? `${keys[0]}-01` : keys[0]);
+  for (;;) {
+    const key = getPeriodKey(toISODate(date), period);
+    if (key > last) break;
+    result.push(series.get(key) || { key, ...emptyTotals(), byType: {} });
+    date = period === "month" ? addMonths(date, 1) : addDays(date, 7);
+  }
+  return result;
+};
+
+const addShift = (totals, hours, price) => {
+  totals.shifts += 1;
+  totals.hours += hours;
+  totals.spend += price;
+};
+
+// entries: [{ vacancy, swift }] - the shifts to count (already filtered)
+// vacancies: the vacancies shown, for the upcoming/past split
+export const computeAnalytics = (entries, vacancies, { period, todayISO }) => {
+  const totals = emptyTotals();
+  // Archived types only show up when they have shifts
+  const byType = new Map(
+    getActiveShiftTypes().map((type) => [type.name, emptyTotals()])
+  );
+  const series = new Map();
+
+  entries.forEach(({ swift }) => {
+    const hours =
+      getShiftDurationMinutes(swift.start_time, swift.end_time) / 60;
+    const price = Number(swift.price) || 0;
+
+    addShift(totals, hours, price);
+    if (!byType.has(swift.type)) byType.set(swift.type, emptyTotals());
+    addShift(byType.get(swift.type), hours, price);
+
+    const key = getPeriodKey(swift.date, period);
+    if (!series.has(key)) {
+      series.set(key, { key, ...emptyTotals(), byType: {} });
+    }
+    const bucket = series.get(key);
+    addShift(bucket, hours, price);
+    bucket.byType[swift.type] = bucket.byType[swift.type] || emptyTotals();
+    addShift(bucket.byType[swift.type], hours, price);
+  });
+
+  const upcomingVacancies = vacancies.filter((vacancy) =>
+    (vacancy.swifts || []).some((swift) => !isPastShift(swift, todayISO))
+  ).length;
+
+  return {
+    totals: {
+      ...totals,
+      hours: round(totals.hours),
+      spend: round(totals.spend),
+      averagePrice: totals.shifts ? round(totals.spend / totals.shifts) : 0,
+      vacancies: vacancies.length,
+      upcomingVacancies,
+      pastVacancies: vacancies.length - upcomingVacancies,
+    },
+    byType: [...byType.entries()]
+      .filter(([, typeTotals]) => typeTotals.shifts > 0)
+      .map(([type, typeTotals]) => ({
+        type,
+        ...typeTotals,
+        hours: round(typeTotals.hours),
+        spend: round(typeTotals.spend),
+        averagePrice: round(typeTotals.spend / typeTotals.shifts),
+      })),
+    series: fillPeriods(series, period).map((bucket) => ({
+      ...bucket,
+      hours: round(bucket.hours),
+      spend: round(bucket.spend),
+    })),
+  };
+};
+
+// The figures as a CSV: the per-type summary followed by the time series.
+export const analyticsToCsv = (analytics) => {
+  const types = analytics.byType.map((row) => row.type);
+  return toCsv([
+    ["type", "shifts", "hours", "spend", "average_price"],
+    ...analytics.byType.map((row) => [
+      row.type,
+      row.shifts,
+      row.hours,
+      row.spend,
+      row.averagePrice,
+    ]),
+    [
+      "total",
+      analytics.totals.shifts,
+      analytics.totals.hours,
+      analytics.totals.spend,
+      analytics.totals.averagePrice,
+    ],
+    [],
+    [
+      "period",
+      "shifts",
+      "hours",
+      "spend",
+      ...types.flatMap((type) => [`${type} hours`, `${type} spend`]),
+    ],
+    ...analytics.series.map((bucket) => [
+      bucket.key,
+      bucket.shifts,
+      bucket.hours,
+      bucket.spend,
+      ...types.flatMap((type) => [
+        round(bucket.byType[type]?.hours || 0),
+        round(bucket.byType[type]?.spend || 0),
+      ]),
+    ]),
+  ]);
+};
@@ -0,0 +1,35 @@
+// Bulk changes to the selected shifts of the drawer form.
+
+import { parseISODate } from "./date";
+import { compareShifts } from "./shifts";
+
+// Labels are the "bulkEdit.actions.<action>" messages
+export const bulkActions = [
+  "start_time",
+  "end_time",
+  "type",
+  "price",
+  "price_percent",
+];
+
+// 0 = Monday ... 6 = Sunday
+export const getShiftWeekday = (shift) =>
+  (parseISODate(shift.date).getDay() + 6) % 7;
+
+// Applies `action` with `value` to the shifts whose key is in `keys`.
+export const applyBulkEdit = (shifts, keys, action, value) =>
+  shifts
+    .map((shift) => {
+      if (!keys.includes(shift.key)) return shift;
+      if (action === "price_percent") {
+        return {
+          ...shift,
+          price: Math.round(shift.price * (1 + Number(value) / 100)),
+        };
+      }
+      return {
+        ...shift,
+        [action]: action === "price" ? parseInt(value, 10) : value,
+      };
+    })
+    .sort(compareShifts);
@@ -0,0 +1,61 @@
+// Double-booking detection across vacancies: two shifts of the same type whose
+// times overlap (overnight shifts included) mean the same cover is booked
+// twice.
+
+import { getShiftInterval, shiftsOverlap } from "./shifts";
+
+const clashes = (a, b) => a.type === b.type && shiftsOverlap(a, b);
+
+// Drafted shifts (drawer form) against the swifts of every other vacancy.
+// Returns shift key -> [{ vacancy, swift }].
+export const findShiftClashes = (shifts, vacancies, excludeVacancyId) => {
+  const result = {};
+  shifts.forEach((shift) => {
+    const found = vacancies
+      .filter((vacancy) => vacancy.id !== excludeVacancyId)
+      .flatMap((vacancy) =>
+        (vacancy.swifts || [])
+          .filter((swift) => clashes(shift, swift))
+          .map((swift) => ({ vacancy, swift }))
+      );
+    if (found.length) result[shift.key] = found;
+  });
+  return result;
+};
+
+// Every swift that overlaps a swift of another vacancy.
+// Returns a Map of swift object -> [{ vacancy, swift }] it clashes with.
+export const findDoubleBookings = (vacancies) => {
+  const entries = vacancies
+    .flatMap((vacancy) =>
+      (vacancy.swifts || []).map((swift) => ({
+        vacancy,
+        swift,
+        ...getShiftInterval(swift),
+      }))
+    )
+    .sort((a, b) => a.start - b.start);
+
+  // Sweep by start time, comparing each swift with those still running
+  const result = new Map();
+  const add = (entry, other) => {
+    const list = result.get(entry.swift) || [];
+    list.push({ vacancy: other.vacancy, swift: other.swift });
+    result.set(entry.swift, list);
+  };
+  let active = [];
+  entries.forEach((entry) => {
+    active = active.filter((other) => other.end > entry.start);
+    active.forEach((other) => {
+      if (
+        other.vacancy.id !== entry.vacancy.id &&
+        other.swift.type === entry.swift.type
+      ) {
+        add(entry, other);
+        add(other, entry);
+      }
+    });
+    active.push(entry);
+  });
+  return result;
+};
@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV reading/writing, compatible with Excel.
+
+// Excel in many European locales writes ";" instead of ",". Detect it from
+// the header line.
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  return (firstLine.match(/;/g) || []).length >
+    (firstLine.match(/,/g) || []).length
+    ? ";"
+    : ",";
+};
+
+// Parses CSV text into an array of rows (arrays of strings). Handles quoted
+// fields, escaped quotes, embedded newlines and a leading BOM.
+export const parseCsv = (input) => {
+  const text = input.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+};
+
+// Text starting with one of these is run as a formula by spreadsheet apps
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Text cells that would be read as a formula get a leading "'"; numbers are
+// written as they are.
+const escapeField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undoes the "'" escapeField puts before formula-like text
+export const stripFormulaGuard = (text) =>
+  text.startsWith("'") && FORMULA_START.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+
+// Rows -> CSV text with a BOM and CRLF line endings, so Excel opens UTF-8
+// content (e.g. "€", accents) correctly.
+export const toCsv = (rows) =>
+  "\uFEFF" + rows.map((row) => row.map(escapeField).join(",")).join("\r\n");
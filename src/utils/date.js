@@ -0,0 +1,137 @@
+// Date helpers for the "YYYY-MM-DD" strings used by date inputs and the API
+// responses. Dates are handled as local calendar days (no time component);
+// shift dates and times are wall-clock values in the organisation timezone.
+
+// IANA zone of the organisation. "Today" and the API's timestamps are read in
+// this zone, so everyone sees the same calendar day whatever their browser's
+// zone. Defaults to the browser's zone.
+export const ORG_TIME_ZONE =
+  import.meta.env?.VITE_ORG_TIMEZONE ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const zonedFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: ORG_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+
+// Instant -> { date: "YYYY-MM-DD", time: "HH:MM" } in the organisation zone
+export const toZonedDateTime = (instant = new Date()) => {
+  const parts = Object.fromEntries(
+    zonedFormatter
+      .formatToParts(instant)
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+};
+
+export const getTodayISO = () => toZonedDateTime().date;
+
+// Wall-clock "YYYY-MM-DD" + "HH:MM" in the organisation zone -> instant
+export const fromZonedDateTime = (date, time) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+  // Correct by the zone's offset at that instant; a second pass settles
+  // times near a DST change
+  let instant = wall;
+  for (let pass = 0; pass < 2; pass++) {
+    const zoned = toZonedDateTime(new Date(instant));
+    const [zYear, zMonth, zDay] = zoned.date.split("-").map(Number);
+    const [zHours, zMinutes] = zoned.time.split(":").map(Number);
+    instant += wall - Date.UTC(zYear, zMonth - 1, zDay, zHours, zMinutes);
+  }
+  return new Date(instant);
+};
+
+// --- API formats ---
+// The API expects dates as "DD-MM-YYYY" and may send "YYYY-MM-DD",
+// "DD-MM-YYYY", or full timestamps. Timestamps with a zone are converted to
+// the organisation zone; without one they are taken as wall-clock values.
+
+const ISO_DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const API_DATE = /^(\d{2})-(\d{2})-(\d{4})$/;
+const TIMESTAMP =
+  /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const TIME = /^(\d{1,2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/;
+
+const parseTimestamp = (value) => {
+  const match = String(value).match(TIMESTAMP);
+  if (!match) return null;
+  const [, date, time, zone] = match;
+  return zone ? toZonedDateTime(new Date(value)) : { date, time };
+};
+
+// API date -> "YYYY-MM-DD" (unrecognised values are returned unchanged)
+export const parseApiDate = (value) => {
+  if (typeof value !== "string") return value;
+  if (ISO_DATE.test(value)) return value;
+  const apiMatch = value.match(API_DATE);
+  if (apiMatch) return `${apiMatch[3]}-${apiMatch[2]}-${apiMatch[1]}`;
+  return parseTimestamp(value)?.date ?? value;
+};
+
+// API time ("HH:MM:SS", "HH:MM" or a timestamp) -> "HH:MM"
+export const parseApiTime = (value) => {
+  if (typeof value !== "string") return value;
+  const match = value.match(TIME);
+  if (match) return `${match[1].padStart(2, "0")}:${match[2]}`;
+  return parseTimestamp(value)?.time ?? value;
+};
+
+// "YYYY-MM-DD" -> "DD-MM-YYYY", the format the API expects
+export const toApiDate = (dateStr) => {
+  const match = dateStr?.match(ISO_DATE);
+  return match ? `${match[3]}-${match[2]}-${match[1]}` : "";
+};
+
+export const toISODate = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+};
+
+export const parseISODate = (dateStr) => {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+export const addMonths = (date, months) =>
+  new Date(date.getFullYear(), date.getMonth() + months, 1);
+
+// Weeks start on Monday.
+export const startOfWeek = (date) => {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const offset = (result.getDay() + 6) % 7;
+  return addDays(result, -offset);
+};
+
+export const startOfMonth = (date) =>
+  new Date(date.getFullYear(), date.getMonth(), 1);
+
+// "HH:MM" or "HH:MM:SS" -> minutes since midnight
+export const timeToMinutes = (timeStr) => {
+  const [hours, minutes] = timeStr.split(":");
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+// minutes since midnight -> "HH:MM" (wraps around past midnight)
+export const minutesToTime = (minutes) => {
+  const wrapped = ((minutes % 1440) + 1440) % 1440;
+  const hours = String(Math.floor(wrapped / 60)).padStart(2, "0");
+  return `${hours}:${String(wrapped % 60).padStart(2, "0")}`;
+};
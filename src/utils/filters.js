@@ -0,0 +1,92 @@
+// Vacancy filter criteria and their query string representation.
+
+import { parseISODate, toApiDate } from "./date";
+
+export const PRICE_MIN = 0;
+export const PRICE_MAX = 1000;
+
+export const defaultFilters = {
+  search: "", // matched against vacancy title/description
+  types: [], // shift types; empty = all
+  dateFrom: "", // YYYY-MM-DD, inclusive
+  dateTo: "", // YYYY-MM-DD, inclusive
+  weekdays: [], // 0 = Monday ... 6 = Sunday; empty = all
+  minPrice: PRICE_MIN,
+  maxPrice: PRICE_MAX,
+};
+
+// --- URL sync ---
+
+const parseNumber = (value, fallback) => {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+const parseList = (value) => (value ? value.split(",").filter(Boolean) : []);
+
+export const parseFiltersFromSearch = (search) => {
+  const params = new URLSearchParams(search);
+  return {
+    search: params.get("q") || "",
+    types: parseList(params.get("types")),
+    dateFrom: params.get("from") || "",
+    dateTo: params.get("to") || "",
+    weekdays: parseList(params.get("days"))
+      .map(Number)
+      .filter((d) => d >= 0 && d <= 6),
+    minPrice: parseNumber(params.get("min"), PRICE_MIN),
+    maxPrice: parseNumber(params.get("max"), PRICE_MAX),
+  };
+};
+
+// Only non-default values end up in the query string.
+export const filtersToSearch = (filters) => {
+  const params = new URLSearchParams();
+  if (filters.search) params.set("q", filters.search);
+  if (filters.types.length) params.set("types", filters.types.join(","));
+  if (filters.dateFrom) params.set("from", filters.dateFrom);
+  if (filters.dateTo) params.set("to", filters.dateTo);
+  if (filters.weekdays.length) params.set("days", filters.weekdays.join(","));
+  if (filters.minPrice > PRICE_MIN) params.set("min", filters.minPrice);
+  if (filters.maxPrice < PRICE_MAX) params.set("max", filters.maxPrice);
+  const query = params.toString();
+  return query ? `?${query}` : "";
+};
+
+// Query parameters for server-side filtering (paging mode). Dates go out in
+// the API's "DD-MM-YYYY" format, like in the payloads.
+export const filtersToApiParams = (filters) => ({
+  q: filters.search.trim(),
+  types: filters.types.join(","),
+  date_from: toApiDate(filters.dateFrom),
+  date_to: toApiDate(filters.dateTo),
+  weekdays: filters.weekdays.join(","),
+  min_price: filters.minPrice > PRICE_MIN ? filters.minPrice : "",
+  max_price: filters.maxPrice < PRICE_MAX ? filters.maxPrice : "",
+});
+
+// --- Matching ---
+
+export const vacancyMatchesSearch = (vacancy, search) => {
+  const needle = search.trim().toLowerCase();
+  if (!needle) return true;
+  return [vacancy.title, vacancy.description].some((text) =>
+    (text || "").toLowerCase().includes(needle)
+  );
+};
+
+// Shift-level criteria: type, date range, weekday and price.
+export const swiftMatchesFilters = (swift, filters) => {
+  if (filters.types.length && !filters.types.includes(swift.type)) {
+    return false;
+  }
+  if (filters.dateFrom && swift.date < filters.dateFrom) return false;
+  if (filters.dateTo && swift.date > filters.dateTo) return false;
+  if (filters.weekdays.length) {
+    const weekday = (parseISODate(swift.date).getDay() + 6) % 7;
+    if (!filters.weekdays.includes(weekday)) return false;
+  }
+  return swift.price >= filters.minPrice && swift.price <= filters.maxPrice;
+};
+
+export const hasActiveFilters = (filters) => filtersToSearch(filters) !== "";
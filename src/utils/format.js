@@ -0,0 +1,103 @@
+// Display formatting through Intl in the UI language. Shift dates and times
+// are wall-clock values already in the organisation zone, so they are
+// formatted as UTC to keep Intl from shifting them a second time.
+
+import { ORG_TIME_ZONE } from "./date";
+import { getLanguage } from "../i18n";
+
+// ISO 4217 code prices are shown in
+export const CURRENCY = import.meta.env?.VITE_CURRENCY || "EUR";
+
+// The browser locale when it is in the chosen UI language (keeps regional
+// conventions such as en-GB dates), otherwise the UI language itself
+export const getLocale = () => {
+  const language = getLanguage();
+  const browserLocale = globalThis.navigator?.language;
+  return browserLocale?.split("-")[0].toLowerCase() === language
+    ? browserLocale
+    : language;
+};
+
+const formatters = new Map();
+const getFormatter = (Format, options) => {
+  const locale = getLocale();
+  const key = `${Format.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Format(locale, options));
+  return formatters.get(key);
+};
+
+const formatUTC = (timestamp, options) =>
+  getFormatter(Intl.DateTimeFormat, { ...options, timeZone: "UTC" }).format(
+    timestamp
+  );
+
+const dateToUTC = (dateStr) => {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+// "YYYY-MM-DD" -> e.g. "27 Sept 2025", or "Sat, 27 Sept 2025" with `weekday`
+export const formatDate = (dateStr, { weekday = false } = {}) =>
+  dateStr
+    ? formatUTC(dateToUTC(dateStr), {
+        ...(weekday && { weekday: "short" }),
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+      })
+    : "";
+
+// Date object (local calendar day) -> e.g. "September 2025"
+export const formatMonth = (date) =>
+  formatUTC(Date.UTC(date.getFullYear(), date.getMonth(), 1), {
+    month: "long",
+    year: "numeric",
+  });
+
+// Weekday names starting on Monday (1 January 2024 was a Monday)
+export const getWeekdayLabels = (style = "short") =>
+  Array.from({ length: 7 }, (_, i) =>
+    formatUTC(Date.UTC(2024, 0, 1 + i), { weekday: style })
+  );
+
+// "HH:MM[:SS]" -> e.g. "9:00 AM" or "09:00"
+export const formatTime = (timeStr) => {
+  const [hours, minutes] = timeStr.split(":").map(Number);
+  return formatUTC(Date.UTC(1970, 0, 1, hours, minutes), {
+    hour: "numeric",
+    minute: "2-digit",
+  });
+};
+
+// Hour of the day (0-23) -> e.g. "9 AM" or "09"
+export const formatHour = (hour) =>
+  formatUTC(Date.UTC(1970, 0, 1, hour), { hour: "numeric" });
+
+export const formatTimeRange = (start, end) =>
+  `${formatTime(start)} – ${formatTime(end)}`;
+
+// Instant (ISO timestamp or Date) -> date and time in the organisation zone
+export const formatDateTime = (value) =>
+  getFormatter(Intl.DateTimeFormat, {
+    dateStyle: "medium",
+    timeStyle: "short",
+    timeZone: ORG_TIME_ZONE,
+  }).format(new Date(value));
+
+// Amount -> e.g. "€70.00"; non-numeric values are shown as they are
+export const formatCurrency = (amount) => {
+  const value = Number(amount);
+  if (amount === "" || amount === null || Number.isNaN(value)) {
+    return String(amount ?? "");
+  }
+  return getFormatter(Intl.NumberFormat, {
+    style: "currency",
+    currency: CURRENCY,
+  }).format(value);
+};
+
+// e.g. "€", for labels and input prefixes
+export const getCurrencySymbol = () =>
+  getFormatter(Intl.NumberFormat, { style: "currency", currency: CURRENCY })
+    .formatToParts(0)
+    .find((part) => part.type === "currency").value;
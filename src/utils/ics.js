@@ -0,0 +1,113 @@
+// iCalendar (RFC 5545) export of vacancy shifts.
+
+import { ORG_TIME_ZONE, fromZonedDateTime } from "./date";
+import { formatCurrency } from "./format";
+import { getShiftEndDate } from "./shifts";
+import { sortSwifts } from "./sorting";
+import { t, typeLabel } from "../i18n";
+
+const PRODUCT_ID = "-//Swift Management//Vacancy Shifts//EN";
+
+// Domain part of the UIDs. Must stay the same across exports so calendar
+// apps update existing events instead of adding duplicates.
+const UID_DOMAIN = "swift-management";
+
+// Escapes TEXT values (RFC 5545 §3.3.11)
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded with CRLF + space (§3.1)
+const foldLine = (line) => {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const size = new TextEncoder().encode(char).length;
+    if (currentBytes + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+};
+
+// Instant -> UTC "YYYYMMDDTHHMMSSZ". Shift times are written in UTC, so no
+// VTIMEZONE definition is needed (RFC 5545 §3.3.5, form #2).
+const formatTimestamp = (date) =>
+  date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Stable identity for a swift: its server id, which survives edits. APIs that
+// don't send swift ids get what makes it unique inside its vacancy (date,
+// start time and type), so editing those changes the event.
+const swiftUid = (vacancy, swift) => {
+  if (swift.id !== undefined && swift.id !== null) {
+    return `vacancy-${vacancy.id}-swift-${swift.id}@${UID_DOMAIN}`;
+  }
+  const start = swift.start_time.substring(0, 5).replace(":", "");
+  const type = String(swift.type).replace(/\s/g, "");
+  return `vacancy-${vacancy.id}-${swift.date}-${start}-${type}@${UID_DOMAIN}`;
+};
+
+const swiftToEvent = (vacancy, swift, stamp) => {
+  const endDate = getShiftEndDate(
+    swift.date,
+    swift.start_time.substring(0, 5),
+    swift.end_time.substring(0, 5)
+  );
+  const description = [
+    t("vacancies.calendarType", { type: typeLabel(swift.type) }),
+    t("vacancies.calendarPrice", { price: formatCurrency(swift.price) }),
+    vacancy.description,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${swiftUid(vacancy, swift)}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART:${formatTimestamp(fromZonedDateTime(swift.date, swift.start_time))}`,
+    `DTEND:${formatTimestamp(fromZonedDateTime(endDate, swift.end_time))}`,
+    `SUMMARY:${escapeText(vacancy.title)}`,
+    `DESCRIPTION:${escapeText(description)}`,
+    `CATEGORIES:${escapeText(typeLabel(swift.type))}`,
+    "END:VEVENT",
+  ];
+};
+
+// Builds a VCALENDAR with one VEVENT per swift of the given vacancies.
+export const vacanciesToIcs = (
+  vacancies,
+  { name = t("vacancies.calendarName") } = {}
+) => {
+  const stamp = formatTimestamp(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${ORG_TIME_ZONE}`,
+    ...vacancies.flatMap((vacancy) =>
+      sortSwifts(vacancy.swifts || []).flatMap((swift) =>
+        swiftToEvent(vacancy, swift, stamp)
+      )
+    ),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
@@ -0,0 +1,112 @@
+// Pricing rules: a base rate per shift type (flat per shift or per hour) plus
+// percentage surcharges for weekends, public holidays and night hours.
+
+import { parseISODate, timeToMinutes } from "./date";
+import { formatCurrency, formatTimeRange } from "./format";
+import { t, typeLabel } from "../i18n";
+import { getShiftDurationMinutes } from "./shifts";
+import { getShiftDefaults } from "./shiftTypes";
+
+const DAY_MINUTES = 24 * 60;
+
+export const defaultPricingRules = {
+  // type -> { mode: "flat" | "hourly", amount }; see getRate
+  rates: {},
+  // No surcharges until they are set, so prices don't change on their own
+  weekendPercent: 0,
+  holidayPercent: 0,
+  nightPercent: 0,
+  nightStart: "22:00",
+  nightEnd: "06:00",
+  holidays: [], // "YYYY-MM-DD"
+};
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Base rate of a type: the one configured, else the type's default price per
+// shift
+export const getRate = (rules, type) =>
+  rules.rates[type] || { mode: "flat", amount: getShiftDefaults(type).price };
+
+// Minutes of the shift that fall inside the nightly window. Windows running
+// past midnight (22:00-06:00) are counted on every day the shift touches.
+const getNightMinutes = (shift, nightStart, nightEnd) => {
+  const start = timeToMinutes(shift.start_time);
+  const end = start + getShiftDurationMinutes(shift.start_time, shift.end_time);
+  const windowStart = timeToMinutes(nightStart);
+  const windowLength =
+    getShiftDurationMinutes(nightStart, nightEnd) || DAY_MINUTES;
+
+  let minutes = 0;
+  for (let day = -1; day <= 1; day++) {
+    const from = day * DAY_MINUTES + windowStart;
+    const to = from + windowLength;
+    minutes += Math.max(0, Math.min(end, to) - Math.max(start, from));
+  }
+  return minutes;
+};
+
+// Price of a shift under `rules`, with the steps that led to it:
+// { price, breakdown: [{ label, amount }] }
+export const calculateShiftPrice = (shift, rules) => {
+  const rate = getRate(rules, shift.type);
+  const minutes = getShiftDurationMinutes(shift.start_time, shift.end_time);
+  const hours = minutes / 60;
+
+  const base =
+    rate.mode === "hourly" ? round(rate.amount * hours) : Number(rate.amount);
+  const breakdown = [
+    {
+      label:
+        rate.mode === "hourly"
+          ? t("pricing.breakdown.hourly", {
+              type: typeLabel(shift.type),
+              hours,
+              rate: formatCurrency(rate.amount),
+            })
+          : t("pricing.breakdown.flat", { type: typeLabel(shift.type) }),
+      amount: base,
+    },
+  ];
+
+  // A public holiday replaces the weekend surcharge rather than adding to it
+  const weekday = parseISODate(shift.date).getDay();
+  if (rules.holidays.includes(shift.date) && rules.holidayPercent) {
+    breakdown.push({
+      label: t("pricing.breakdown.holiday", {
+        percent: rules.holidayPercent,
+      }),
+      amount: round((base * rules.holidayPercent) / 100),
+    });
+  } else if ((weekday === 0 || weekday === 6) && rules.weekendPercent) {
+    breakdown.push({
+      label: t("pricing.breakdown.weekend", { percent: rules.weekendPercent }),
+      amount: round((base * rules.weekendPercent) / 100),
+    });
+  }
+
+  const nightMinutes = rules.nightPercent
+    ? getNightMinutes(shift, rules.nightStart, rules.nightEnd)
+    : 0;
+  if (nightMinutes > 0 && minutes > 0) {
+    breakdown.push({
+      label: t("pricing.breakdown.night", {
+        time: formatTimeRange(rules.nightStart, rules.nightEnd),
+        hours: nightMinutes / 60,
+        percent: rules.nightPercent,
+      }),
+      amount: round(
+        (base * (nightMinutes / minutes) * rules.nightPercent) / 100
+      ),
+    });
+  }
+
+  const total = breakdown.reduce((sum, step) => sum + step.amount, 0);
+  return { price: Math.round(total), breakdown };
+};
+
+// Re-prices a drawer shift from the rules unless its price was set by hand.
+export const applyPricing = (shift, rules) =>
+  shift.priceOverridden
+    ? shift
+    : { ...shift, price: calculateShiftPrice(shift, rules).price };
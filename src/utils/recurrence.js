@@ -0,0 +1,67 @@
+// Recurrence rules for generating a series of shifts.
+//
+// rule = {
+//   frequency: "daily" | "weekly",
+//   interval: 1,                 // every N days / weeks
+//   weekdays: [0, 2, 4],         // weekly only; 0 = Monday ... 6 = Sunday
+//   startDate: "YYYY-MM-DD",
+//   endMode: "until" | "count",
+//   untilDate: "YYYY-MM-DD",     // inclusive, when endMode === "until"
+//   count: 10,                   // number of shifts, when endMode === "count"
+//   excludedDates: ["YYYY-MM-DD"],
+// }
+
+import { toISODate, parseISODate, addDays, startOfWeek } from "./date";
+
+// Hard cap so a typo in the end date can't generate thousands of shifts.
+export const MAX_OCCURRENCES = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => Math.round((to - from) / DAY_MS);
+
+// Returns the ISO dates matched by the rule, in order.
+export const generateOccurrenceDates = (rule) => {
+  const {
+    frequency = "weekly",
+    interval = 1,
+    weekdays = [],
+    startDate,
+    endMode = "until",
+    untilDate,
+    count,
+    excludedDates = [],
+  } = rule;
+
+  if (!startDate || interval < 1) return [];
+  if (endMode === "until" && !untilDate) return [];
+  if (endMode === "count" && !(count > 0)) return [];
+  if (frequency === "weekly" && weekdays.length === 0) return [];
+
+  const start = parseISODate(startDate);
+  const until =
+    endMode === "until" ? parseISODate(untilDate) : addDays(start, 10 * 366);
+  const limit = Math.min(
+    endMode === "count" ? count : MAX_OCCURRENCES,
+    MAX_OCCURRENCES
+  );
+  const excluded = new Set(excludedDates);
+  const firstWeek = startOfWeek(start);
+
+  const dates = [];
+  for (let day = start; day <= until && dates.length < limit;) {
+    const iso = toISODate(day);
+    let matches;
+    if (frequency === "daily") {
+      matches = daysBetween(start, day) % interval === 0;
+    } else {
+      const weekIndex = Math.floor(daysBetween(firstWeek, day) / 7);
+      const weekday = (day.getDay() + 6) % 7;
+      matches = weekIndex % interval === 0 && weekdays.includes(weekday);
+    }
+    // Excluded dates don't count towards the occurrence count
+    if (matches && !excluded.has(iso)) dates.push(iso);
+    day = addDays(day, 1);
+  }
+  return dates;
+};
@@ -0,0 +1,94 @@
+// Shift types are managed through the API. The list loaded last is kept here
+// as module state (like the UI language) so plain helpers can look types up;
+// ShiftTypesProvider keeps it in sync.
+//
+// A type: { id, name, display_name, color, icon, default_start_time,
+// default_end_time, default_price, archived }. `name` is the canonical value
+// swifts carry as their `type`; it doesn't change once created. Archived
+// types still display on existing swifts but can't be chosen for new ones.
+
+// Used for fields a type doesn't set, and for unknown types
+export const shiftTypeFallback = {
+  color: "#4b5563",
+  icon: "clock",
+  default_start_time: "09:00",
+  default_end_time: "17:00",
+  default_price: 70,
+};
+
+// Icons a type can be given (see components/ShiftTypeIcon)
+export const shiftTypeIconNames = [
+  "stethoscope",
+  "phone",
+  "ambulance",
+  "siren",
+  "house",
+  "heart-pulse",
+  "syringe",
+  "pill",
+  "baby",
+  "hospital",
+  "video",
+  "car",
+  "moon",
+  "clock",
+];
+
+// Built-in types, used until the managed list is loaded, and when the API has
+// none configured
+export const defaultShiftTypes = [
+  { name: "Consultation", color: "#2563eb", icon: "stethoscope" },
+  { name: "Telephone", color: "#16a34a", icon: "phone" },
+  { name: "Ambulance", color: "#d97706", icon: "ambulance" },
+  { name: "Emergency", color: "#dc2626", icon: "siren" },
+].map((type) => ({
+  ...shiftTypeFallback,
+  ...type,
+  display_name: type.name,
+  archived: false,
+}));
+
+let shiftTypeList = defaultShiftTypes;
+
+export const setShiftTypes = (types) => {
+  shiftTypeList = types.length > 0 ? types : defaultShiftTypes;
+};
+
+// Every type, archived ones included
+export const getShiftTypes = () => shiftTypeList;
+
+// The types new shifts can be given
+export const getActiveShiftTypes = () =>
+  shiftTypeList.filter((type) => !type.archived);
+
+export const getShiftType = (name) =>
+  shiftTypeList.find((type) => type.name === name);
+
+export const getShiftTypeColor = (name) =>
+  getShiftType(name)?.color || shiftTypeFallback.color;
+
+// Times, type and price a new shift starts with: the defaults of `name`, or
+// of the first selectable type
+export const getShiftDefaults = (name) => {
+  const type =
+    (name && getShiftType(name)) ||
+    getActiveShiftTypes()[0] ||
+    defaultShiftTypes[0];
+  return {
+    start_time: type.default_start_time,
+    end_time: type.default_end_time,
+    type: type.name,
+    price: Number(type.default_price),
+  };
+};
+
+// Options for a type select: the selectable types, plus `current` when it is
+// archived or unknown (so an existing shift keeps showing its type)
+export const getShiftTypeOptions = (current) => {
+  const active = getActiveShiftTypes();
+  if (!current || active.some((type) => type.name === current)) return active;
+  return [
+    ...active,
+    getShiftType(current) || { name: current, archived: true },
+  ];
+};
@@ -0,0 +1,72 @@
+// Shared shift constants and helpers. Shift types: see ./shiftTypes.
+
+import { toISODate, parseISODate, addDays, timeToMinutes } from "./date";
+import { t } from "../i18n";
+
+// Time options generation (15 minute steps)
+export const timeOptions = [];
+for (let i = 0; i < 24; i++) {
+  for (let j = 0; j < 60; j += 15) {
+    const hour = i.toString().padStart(2, "0");
+    const minute = j.toString().padStart(2, "0");
+    timeOptions.push(`${hour}:${minute}`);
+  }
+}
+
+// --- Overnight shifts ---
+// A shift whose end time is earlier than its start time ends on the following
+// day (e.g. 22:00-06:00). Equal start and end times are not a valid shift.
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export const isOvernight = (startTime, endTime) =>
+  timeToMinutes(endTime) < timeToMinutes(startTime);
+
+export const getShiftDurationMinutes = (startTime, endTime) => {
+  const diff = timeToMinutes(endTime) - timeToMinutes(startTime);
+  return diff < 0 ? diff + MINUTES_PER_DAY : diff;
+};
+
+// ISO date ("YYYY-MM-DD") on which the shift ends.
+export const getShiftEndDate = (date, startTime, endTime) =>
+  isOvernight(startTime, endTime)
+    ? toISODate(addDays(parseISODate(date), 1))
+    : date;
+
+// 510 -> "8h 30m"
+export const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest
+    ? t("common.durationMinutes", { hours, minutes: rest })
+    : t("common.duration", { hours });
+};
+
+// --- Shift identity & overlap ---
+
+let shiftKeyCounter = 0;
+
+// Client-side identity for a drafted shift, independent of its date.
+export const createShiftKey = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `shift-${Date.now()}-${++shiftKeyCounter}`;
+
+// Absolute [start, end) in minutes, so shifts on different days (including
+// overnight ones) can be compared directly.
+export const getShiftInterval = ({ date, start_time, end_time }) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const dayStart = Date.UTC(year, month - 1, day) / 60000;
+  const start = dayStart + timeToMinutes(start_time);
+  return { start, end: start + getShiftDurationMinutes(start_time, end_time) };
+};
+
+export const shiftsOverlap = (a, b) => {
+  const first = getShiftInterval(a);
+  const second = getShiftInterval(b);
+  return first.start < second.end && second.start < first.end;
+};
+
+// Chronological order: by date, then start time.
+export const compareShifts = (a, b) =>
+  a.date.localeCompare(b.date) || a.start_time.localeCompare(b.start_time);
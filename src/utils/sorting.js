@@ -0,0 +1,71 @@
+// Sort options for the vacancy list.
+
+import { compareShifts } from "./shifts";
+
+export const DEFAULT_SORT = "upcoming";
+
+// `apiSort` is the value sent as `sort` in paging mode. Labels are the
+// "sort.<value>" messages.
+export const sortOptions = [
+  { value: "upcoming", apiSort: "next_shift" },
+  { value: "price_desc", apiSort: "-max_price" },
+  { value: "price_asc", apiSort: "min_price" },
+  { value: "value_desc", apiSort: "-total_value" },
+  { value: "title", apiSort: "title" },
+  { value: "recent", apiSort: "-created_at" },
+];
+
+export const getApiSort = (sort) =>
+  (sortOptions.find((option) => option.value === sort) || sortOptions[0])
+    .apiSort;
+
+export const parseSort = (search) => {
+  const sort = new URLSearchParams(search).get("sort");
+  return sortOptions.some((option) => option.value === sort)
+    ? sort
+    : DEFAULT_SORT;
+};
+
+// How past shifts are displayed: "show" inline, "separate" below the upcoming
+// ones, or "hide". Labels are the "pastShifts.<value>" messages.
+export const pastShiftOptions = ["separate", "show", "hide"];
+
+export const isPastShift = (swift, todayISO) => swift.date < todayISO;
+
+export const sortSwifts = (swifts) => [...swifts].sort(compareShifts);
+
+const prices = (vacancy) => vacancy.swifts.map((swift) => swift.price);
+
+// Sort key helpers; vacancies without a value for the key sort last.
+const nextShiftDate = (vacancy, todayISO) =>
+  vacancy.swifts
+    .filter((swift) => !isPastShift(swift, todayISO))
+    .map((swift) => `${swift.date} ${swift.start_time}`)
+    .sort()[0];
+
+const createdAt = (vacancy) => vacancy.created_at || "";
+
+const comparators = {
+  upcoming: (a, b, todayISO) => {
+    const nextA = nextShiftDate(a, todayISO);
+    const nextB = nextShiftDate(b, todayISO);
+    if (!nextA || !nextB) return nextA ? -1 : nextB ? 1 : 0;
+    return nextA.localeCompare(nextB);
+  },
+  price_desc: (a, b) => Math.max(...prices(b)) - Math.max(...prices(a)),
+  price_asc: (a, b) => Math.min(...prices(a)) - Math.min(...prices(b)),
+  value_desc: (a, b) =>
+    prices(b).reduce((sum, p) => sum + p, 0) -
+    prices(a).reduce((sum, p) => sum + p, 0),
+  title: (a, b) => (a.title || "").localeCompare(b.title || ""),
+  // Newest first; falls back to the id when there is no timestamp
+  recent: (a, b) =>
+    createdAt(b).localeCompare(createdAt(a)) ||
+    (b.id > a.id ? 1 : b.id < a.id ? -1 : 0),
+};
+
+// Expects vacancies that all have at least one swift.
+export const sortVacancies = (vacancies, sort, todayISO) => {
+  const compare = comparators[sort] || comparators[DEFAULT_SORT];
+  return [...vacancies].sort((a, b) => compare(a, b, todayISO));
+};
@@ -0,0 +1,57 @@
+// Vacancy templates and copies. A template stores the shift pattern relative
+// to its first day, so it can be laid out from any start date.
+
+import { toISODate, parseISODate, addDays } from "./date";
+import { createShiftKey, compareShifts } from "./shifts";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole days from one "YYYY-MM-DD" to another (DST-safe)
+const daysBetween = (from, to) =>
+  Math.round((parseISODate(to) - parseISODate(from)) / DAY_MS);
+
+export const shiftDate = (date, days) =>
+  toISODate(addDays(parseISODate(date), days));
+
+// Drawer form data -> template
+//   { id, name, title, description,
+//     shifts: [{ dayOffset, start_time, end_time, type, price }] }
+export const formDataToTemplate = (formData, name) => {
+  const firstDate = [...formData.shifts].sort(compareShifts)[0]?.date;
+  return {
+    id: `template-${Date.now()}`,
+    name,
+    title: formData.title,
+    description: formData.description,
+    shifts: formData.shifts.map((shift) => ({
+      dayOffset: daysBetween(firstDate, shift.date),
+      start_time: shift.start_time,
+      end_time: shift.end_time,
+      type: shift.type,
+      price: shift.price,
+    })),
+  };
+};
+
+// Template -> drawer form data with the first shift on `startDate`
+export const templateToFormData = (template, startDate) => ({
+  title: template.title,
+  description: template.description,
+  shifts: template.shifts
+    .map(({ dayOffset, ...shift }) => ({
+      key: createShiftKey(),
+      date: shiftDate(startDate, dayOffset),
+      ...shift,
+    }))
+    .sort(compareShifts),
+});
+
+// Copy of drawer form data with every shift moved by `days`
+export const shiftFormDates = (formData, days) => ({
+  ...formData,
+  shifts: formData.shifts.map((shift) => ({
+    ...shift,
+    key: createShiftKey(),
+    date: shiftDate(shift.date, days),
+  })),
+});
@@ -0,0 +1,199 @@
+// Vacancy <-> CSV mapping: one row per shift (swift).
+
+import { parseCsv, toCsv, stripFormulaGuard } from "./csv";
+import { toISODate, parseISODate } from "./date";
+import { getShiftEndDate, compareShifts } from "./shifts";
+import { getShiftType, getActiveShiftTypes } from "./shiftTypes";
+import { sortSwifts } from "./sorting";
+import { validateVacancyForm } from "./vacancyForm";
+import { t } from "../i18n";
+
+export const CSV_COLUMNS = [
+  "vacancy_id",
+  "title",
+  "description",
+  "date",
+  "start_time",
+  "end_time",
+  "end_date",
+  "type",
+  "price",
+];
+
+const REQUIRED_COLUMNS = [
+  "title",
+  "description",
+  "date",
+  "start_time",
+  "end_time",
+  "type",
+  "price",
+];
+
+// --- Export ---
+
+export const vacanciesToCsv = (vacancies) =>
+  toCsv([
+    CSV_COLUMNS,
+    ...vacancies.flatMap((vacancy) =>
+      sortSwifts(vacancy.swifts || []).map((swift) => {
+        const start = swift.start_time.substring(0, 5);
+        const end = swift.end_time.substring(0, 5);
+        return [
+          vacancy.id,
+          vacancy.title,
+          vacancy.description,
+          swift.date,
+          start,
+          end,
+          getShiftEndDate(swift.date, start, end),
+          swift.type,
+          swift.price,
+        ];
+      })
+    ),
+  ]);
+
+// --- Import ---
+
+// Accepts YYYY-MM-DD, DD-MM-YYYY and DD/MM/YYYY; returns YYYY-MM-DD or null.
+const parseDate = (value) => {
+  const text = value.trim();
+  let year, month, day;
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+    [, day, month, year] = match;
+  } else {
+    return null;
+  }
+  const iso = `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+  // Reject dates like 31-02-2025 that Date would roll over
+  return toISODate(parseISODate(iso)) === iso ? iso : null;
+};
+
+// Accepts H:MM, HH:MM and HH:MM:SS; returns HH:MM or null.
+const parseTime = (value) => {
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return `${match[1].padStart(2, "0")}:${match[2]}`;
+};
+
+// Accepts "80", "€80", "80.00" and "80,00"; returns a number or NaN.
+const parsePrice = (value) =>
+  Number(value.replace(/[€\s]/g, "").replace(",", "."));
+
+// Parses and validates an import file. Every row is checked on its own
+// (format) and, grouped into vacancies, with the same rules as the drawer.
+//
+// Returns { rows, vacancies, error }:
+// - rows: [{ line, values, errors: [] }]
+// - vacancies: [{ id, formData, lines, valid }]
+// - error: a file-level problem (e.g. missing columns), or null
+export const parseVacancyCsv = (text) => {
+  const [header = [], ...dataRows] = parseCsv(text);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter((name) => !columns.includes(name));
+  if (missing.length) {
+    return {
+      rows: [],
+      vacancies: [],
+      error: t("csvImport.errors.missingColumns", {
+        columns: missing.join(", "),
+      }),
+    };
+  }
+
+  const groups = new Map();
+  const rows = dataRows.map((cells, index) => {
+    const line = index + 2; // 1-based, after the header
+    const values = Object.fromEntries(
+      columns.map((name, i) => [
+        name,
+        stripFormulaGuard((cells[i] || "").trim()),
+      ])
+    );
+    const errors = [];
+
+    const date = parseDate(values.date);
+    if (!date) errors.push(t("csvImport.errors.date"));
+    const startTime = parseTime(values.start_time);
+    if (!startTime) errors.push(t("csvImport.errors.startTime"));
+    const endTime = parseTime(values.end_time);
+    if (!endTime) errors.push(t("csvImport.errors.endTime"));
+    // Archived types are only accepted for shifts of an existing vacancy
+    const type = getShiftType(values.type);
+    if (!type || (type.archived && !values.vacancy_id)) {
+      errors.push(
+        t("csvImport.errors.type", {
+          types: getActiveShiftTypes()
+            .map((active) => active.name)
+            .join(", "),
+        })
+      );
+    }
+
+    const row = { line, values, errors };
+
+    // Rows with a vacancy_id update that vacancy; others create a vacancy
+    // per distinct title + description.
+    const groupKey = values.vacancy_id
+      ? `id:${values.vacancy_id}`
+      : `new:${values.title}\u0000${values.description}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, {
+        id: values.vacancy_id || null,
+        formData: {
+          title: values.title,
+          description: values.description,
+          shifts: [],
+        },
+        rows: [],
+      });
+    }
+    const group = groups.get(groupKey);
+    group.rows.push(row);
+    if (!errors.length) {
+      group.formData.shifts.push({
+        key: `line-${line}`,
+        date,
+        start_time: startTime,
+        end_time: endTime,
+        type: values.type,
+        price: parsePrice(values.price),
+      });
+    }
+    return row;
+  });
+
+  const vacancies = [...groups.values()].map((group) => {
+    const errors = validateVacancyForm(group.formData);
+
+    group.rows.forEach((row) => {
+      if (errors.title) row.errors.push(errors.title);
+      if (errors.description) row.errors.push(errors.description);
+      if (
+        group.id &&
+        (row.values.title !== group.formData.title ||
+          row.values.description !== group.formData.description)
+      ) {
+        row.errors.push(t("csvImport.errors.sameVacancy"));
+      }
+      ["time", "overlap", "price"].forEach((field) => {
+        const message = errors.shiftDetails?.[`${field}-line-${row.line}`];
+        if (message) row.errors.push(message);
+      });
+    });
+
+    group.formData.shifts.sort(compareShifts);
+    return {
+      id: group.id,
+      formData: group.formData,
+      lines: group.rows.map((row) => row.line),
+      valid: group.rows.every((row) => row.errors.length === 0),
+    };
+  });
+
+  return { rows, vacancies, error: null };
+};
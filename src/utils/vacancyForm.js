@@ -0,0 +1,179 @@
+// Conversions between API vacancies, drawer form data and API payloads, plus
+// the form validation rules (shared by the drawer and the CSV import).
+
+import { toApiDate } from "./date";
+import { formatDate, formatTimeRange } from "./format";
+import { t, typeLabel } from "../i18n";
+import {
+  createShiftKey,
+  compareShifts,
+  getShiftDurationMinutes,
+  getShiftEndDate,
+  shiftsOverlap,
+} from "./shifts";
+
+export const initialFormData = {
+  title: "",
+  description: "",
+  shifts: [],
+};
+
+// API vacancy (with `swifts`, normalised by the client) -> drawer form data
+export const vacancyToFormData = (vacancy) => ({
+  title: vacancy.title || "",
+  description: vacancy.description || "",
+  shifts: (vacancy.swifts || [])
+    .map((swift) => ({
+      key: createShiftKey(),
+      // Server id of the swift, sent back on updates (see utils/ics)
+      ...(swift.id !== undefined && swift.id !== null && { id: swift.id }),
+      date: swift.date,
+      start_time: swift.start_time,
+      end_time: swift.end_time,
+      type: swift.type,
+      price: swift.price,
+    }))
+    .sort(compareShifts),
+});
+
+// Form data for a copy of a vacancy: its shifts are new ones, without the
+// server ids of the original's
+export const withoutShiftIds = (formData) => ({
+  ...formData,
+  shifts: formData.shifts.map((shift) => {
+    const copy = { ...shift };
+    delete copy.id;
+    return copy;
+  }),
+});
+
+// Drawer form data -> create/update payload. `updatedAt` is the version of the
+// vacancy the edit started from (sent with updates to detect conflicts).
+export const buildVacancyPayload = (formData, { updatedAt } = {}) => ({
+  ...(updatedAt && { updated_at: updatedAt }),
+  title: formData.title,
+  description: formData.description,
+  shifts: formData.shifts.map((shift) => ({
+    ...(shift.id !== undefined && { id: shift.id }),
+    date: toApiDate(shift.date),
+    start_time: shift.start_time,
+    end_time: shift.end_time,
+    // Explicit end date so overnight shifts are unambiguous
+    end_date: toApiDate(
+      getShiftEndDate(shift.date, shift.start_time, shift.end_time)
+    ),
+    type: shift.type,
+    price: shift.price,
+  })),
+});
+
+// Drawer form data -> vacancy as the list shows it (used for changes that are
+// queued while offline and not yet returned by the API)
+export const formDataToVacancy = (formData, id) => ({
+  id,
+  title: formData.title,
+  description: formData.description,
+  swifts: formData.shifts.map((shift) => ({
+    ...(shift.id !== undefined && { id: shift.id }),
+    date: shift.date,
+    start_time: shift.start_time,
+    end_time: shift.end_time,
+    type: shift.type,
+    price: shift.price,
+  })),
+});
+
+// Returns the validation errors for the form; empty object when valid.
+// Shift errors are keyed by `<field>-<shift.key>` under `shiftDetails`.
+export const validateVacancyForm = (formData) => {
+  const errors = {};
+  if (!formData.title) errors.title = t("validation.titleRequired");
+  if (!formData.description) {
+    errors.description = t("validation.descriptionRequired");
+  }
+  if (formData.shifts.length === 0) {
+    errors.shifts = t("validation.shiftsRequired");
+  }
+
+  const shiftErrors = {};
+  let hasShiftErrors = false;
+
+  formData.shifts.forEach((shift, index) => {
+    let isError = false;
+
+    if (shift.price <= 0 || isNaN(shift.price)) {
+      shiftErrors[`price-${shift.key}`] = t("validation.pricePositive");
+      isError = true;
+    }
+
+    // An end time before the start time means the shift ends the next day,
+    // so only a zero-length shift is invalid.
+    if (getShiftDurationMinutes(shift.start_time, shift.end_time) === 0) {
+      shiftErrors[`time-${shift.key}`] = t("validation.zeroLength");
+      isError = true;
+    }
+
+    // Several shifts per date are allowed, as long as they don't overlap
+    const clash = formData.shifts.find(
+      (other, otherIndex) => otherIndex !== index && shiftsOverlap(shift, other)
+    );
+    if (clash) {
+      shiftErrors[`overlap-${shift.key}`] = t("validation.overlap", {
+        time: formatTimeRange(clash.start_time, clash.end_time),
+        type: typeLabel(clash.type),
+        date: formatDate(clash.date),
+      });
+      isError = true;
+    }
+
+    if (isError) hasShiftErrors = true;
+  });
+
+  if (hasShiftErrors) errors.shiftDetails = shiftErrors;
+
+  return errors;
+};
+
+// Server-side field errors (see ValidationError) -> the validationErrors shape
+// used by the drawer. "shifts.<index>.<field>" refers to the shift at that
+// position of formData.shifts, which is the order of the payload. Messages
+// for fields the form doesn't show are returned as `form`.
+export const mapServerErrors = (fieldErrors, formData) => {
+  const errors = {};
+  const shiftErrors = {};
+  const other = [];
+
+  Object.entries(fieldErrors).forEach(([path, message]) => {
+    const [field, index, shiftField] = path.split(".");
+    if (field === "title" || field === "description") {
+      errors[field] = message;
+    } else if (field === "shifts" || field === "swifts") {
+      const shift = index !== undefined && formData.shifts[Number(index)];
+      if (!shift) {
+        errors.shifts = message;
+        return;
+      }
+      const slot = ["start_time", "end_time", "end_date"].includes(shiftField)
+        ? "time"
+        : shiftField === "price"
+          ? "price"
+          : "server";
+      const key = `${slot}-${shift.key}`;
+      shiftErrors[key] = shiftErrors[key]
+        ? `${shiftErrors[key]} ${message}`
+        : message;
+    } else {
+      other.push(message);
+    }
+  });
+
+  if (Object.keys(shiftErrors).length) errors.shiftDetails = shiftErrors;
+  if (other.length) errors.form = other.join(" ");
+  return errors;
+};
+
+// All error messages for one shift, in display order.
+export const getShiftErrors = (errors, key) =>
+  ["time", "overlap", "price", "server"]
+    .map((field) => errors.shiftDetails?.[`${field}-${key}`])
+    .filter(Boolean);
@@ -0,0 +1,83 @@
+// Merging a drafted vacancy with the version currently on the server after an
+// edit conflict. The version the draft started from (`base`) tells who changed
+// what, which decides the preselected choice for each field and shift.
+
+import { compareShifts } from "./shifts";
+
+export const MERGE_FIELDS = ["title", "description"];
+
+// Shifts are matched across versions by date and start time
+const shiftId = (shift) => `${shift.date} ${shift.start_time}`;
+
+const sameShift = (a, b) =>
+  a.end_time === b.end_time &&
+  a.type === b.type &&
+  Number(a.price) === Number(b.price);
+
+// Same details in both versions (or absent from both)
+const equalOrAbsent = (a, b) => (a && b ? sameShift(a, b) : !a && !b);
+
+// One row per field and per matched shift. Choices are "mine", "theirs" or,
+// for shifts, "none" (leave the shift out).
+//   fields: [{ field, mine, theirs, differs, choice }]
+//   shifts: [{ id, mine, theirs, status, choice }]
+//   status: "same" | "changed" | "mine-only" | "theirs-only"
+export const buildMergeRows = (base, mine, theirs) => {
+  const fields = MERGE_FIELDS.map((field) => {
+    const differs = mine[field] !== theirs[field];
+    const mineChanged = mine[field] !== base[field];
+    return {
+      field,
+      mine: mine[field],
+      theirs: theirs[field],
+      differs,
+      choice: differs && !mineChanged ? "theirs" : "mine",
+    };
+  });
+
+  const index = (shifts) => new Map(shifts.map((s) => [shiftId(s), s]));
+  const baseShifts = index(base.shifts);
+  const mineShifts = index(mine.shifts);
+  const theirShifts = index(theirs.shifts);
+  const ids = [...new Set([...mineShifts.keys(), ...theirShifts.keys()])];
+
+  const shifts = ids.map((id) => {
+    const mineShift = mineShifts.get(id) || null;
+    const theirShift = theirShifts.get(id) || null;
+    const baseShift = baseShifts.get(id) || null;
+    // Keep my side unless I left it as it was and they changed it
+    const mineUntouched = equalOrAbsent(mineShift, baseShift);
+
+    let status;
+    let choice;
+    if (mineShift && theirShift) {
+      status = sameShift(mineShift, theirShift) ? "same" : "changed";
+      choice = status === "changed" && mineUntouched ? "theirs" : "mine";
+    } else if (mineShift) {
+      status = "mine-only";
+      // Deleted on the server: follow that unless I edited the shift
+      choice = baseShift && mineUntouched ? "none" : "mine";
+    } else {
+      status = "theirs-only";
+      // Deleted in my draft: keep it deleted; otherwise it's theirs, new
+      choice = baseShift && !mineUntouched ? "none" : "theirs";
+    }
+    return { id, mine: mineShift, theirs: theirShift, status, choice };
+  });
+
+  return { fields, shifts: shifts.sort((a, b) => a.id.localeCompare(b.id)) };
+};
+
+// Form data built from the chosen side of every row.
+export const applyMergeChoices = ({ fields, shifts }) => ({
+  ...Object.fromEntries(
+    fields.map((row) => [
+      row.field,
+      row.choice === "theirs" ? row.theirs : row.mine,
+    ])
+  ),
+  shifts: shifts
+    .map((row) => (row.choice === "none" ? null : row[row.choice]))
+    .filter(Boolean)
+    .sort(compareShifts),
+});
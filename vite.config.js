@@ -7,10 +7,12 @@
 // })
 import { defineConfig } from "vite";
 import tailwindcss from "@tailwindcss/vite"; // Import the Vite plugin
+import mockAuth from "./mock/authServer"; // Stand-in auth endpoint (dev only)
 
 export default defineConfig({
   plugins: [
     tailwindcss(), // Use the Vite plugin
+    mockAuth(),
     // other plugins (e.g., react(), vue())
   ],
   // Remove any css: { postcss: { ... } } configuration for tailwind